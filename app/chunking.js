@@ -0,0 +1,334 @@
+// Splitting extracted page texts into chunks for embedding.
+//
+// Strategies:
+//   fixed    - every chunkSize characters (or tokens) with chunkOverlap
+//   sentence - whole sentences packed up to chunkSize; overlap is
+//              carried as trailing sentences. Detected section headings
+//              (Abstract, "3.2 Experimental Setup", ...) end a chunk and are
+//              recorded on every chunk that follows as `section`.
+// Both return [{ page, pageEnd, pageBreaks, text, section, boxes }] (section
+// is null for fixed); pageEnd and pageBreaks only differ from a single page
+// when chunking across pages. boxes are the PDF text items the chunk covers
+// as [page, itemIndex, x, y, width, height] (see pdfExtractWorker.js), empty
+// for documents without item positions.
+const CHUNK_STRATEGIES = ['fixed', 'sentence']
+const MIN_CHUNK_SIZE = 200
+const MIN_CHUNK_TOKENS = 32
+
+// Unnumbered headings papers commonly use, matched on a line of their own
+const SECTION_NAMES = [
+  'abstract', 'introduction', 'background', 'related work', 'related works', 'preliminaries',
+  'method', 'methods', 'methodology', 'approach', 'model', 'experiments', 'experiment',
+  'experimental setup', 'experimental results', 'evaluation', 'results', 'analysis',
+  'discussion', 'limitations', 'conclusion', 'conclusions', 'future work',
+  'acknowledgments', 'acknowledgements', 'references', 'bibliography', 'appendix',
+  '초록', '요약', '서론', '관련 연구', '배경', '방법', '방법론', '실험', '실험 결과', '결과',
+  '분석', '논의', '한계', '결론', '참고문헌', '부록',
+]
+const MAX_HEADING_LENGTH = 80
+const MAX_HEADING_WORDS = 10
+const TRAILING_WORDS = ['a', 'an', 'the', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'by', 'as', 'is', 'are', 'we', 'that']
+
+function normalizeChunkStrategy(strategy) {
+  return CHUNK_STRATEGIES.includes(strategy) ? strategy : 'fixed'
+}
+
+// Chunk budget in characters, or in tokens when a tokenizer (see tokenizer.js) is given
+function resolveBudget(chunkSize, overlap, tokenizer) {
+  const size = Math.max(tokenizer ? MIN_CHUNK_TOKENS : MIN_CHUNK_SIZE, chunkSize)
+  return { size, overlap: Math.max(0, Math.min(overlap, Math.floor(size * 0.8))), tokenizer }
+}
+
+function measureSpan(text, start, end, tokenizer) {
+  if (!tokenizer) return end - start
+  let tokens = 0
+  for (const piece of tokenizer.pieces(text.slice(start, end))) tokens += piece.tokens
+  return tokens
+}
+
+// Fixed windows over text; in tokens the cuts fall between tokenizer pieces
+function windowSpans(text, { size, overlap, tokenizer }) {
+  const spans = []
+  if (!tokenizer) {
+    for (let start = 0; start < text.length;) {
+      const end = Math.min(text.length, start + size)
+      spans.push({ start, end })
+      if (end >= text.length) break
+      start = end - overlap
+    }
+    return spans
+  }
+  const pieces = tokenizer.pieces(text)
+  for (let i = 0; i < pieces.length;) {
+    let j = i
+    let tokens = 0
+    while (j < pieces.length && (j === i || tokens + pieces[j].tokens <= size)) tokens += pieces[j++].tokens
+    spans.push({ start: pieces[i].start, end: pieces[j - 1].end })
+    if (j >= pieces.length) break
+    let k = j
+    let carried = 0
+    while (k > i + 1 && carried + pieces[k - 1].tokens <= overlap) carried += pieces[--k].tokens
+    i = k
+  }
+  return spans
+}
+
+// Chunk texts are spans of a text built from the page texts; segments
+// ([{ at, page, offset, length }], ascending) record where each copied run
+// came from, so a span maps back to [{ page, start, end }] page text ranges.
+function sourceRanges(segments, start, end) {
+  const ranges = []
+  for (const seg of segments) {
+    if (seg.at >= end) break
+    if (seg.at + seg.length <= start) continue
+    const from = seg.offset + Math.max(start, seg.at) - seg.at
+    const to = seg.offset + Math.min(end, seg.at + seg.length) - seg.at
+    const last = ranges[ranges.length - 1]
+    if (last && last.page === seg.page) last.end = to
+    else ranges.push({ page: seg.page, start: from, end: to })
+  }
+  return ranges
+}
+
+// Item boxes under page text ranges; an item cut by a range gets the
+// matching share of its width
+function rangeBoxes(ranges, pageBoxes) {
+  const boxes = []
+  for (const { page, start, end } of ranges) {
+    for (const item of pageBoxes?.[page - 1] || []) {
+      if (item.end <= start || item.start >= end) continue
+      const length = item.end - item.start
+      const from = (Math.max(start, item.start) - item.start) / length
+      const to = (Math.min(end, item.end) - item.start) / length
+      const round = (n) => Math.round(n * 10) / 10
+      boxes.push([page, item.index, round(item.x + item.width * from), item.y, round(item.width * (to - from)), item.height])
+    }
+  }
+  return boxes
+}
+
+function chunkPageText(text, page, chunkSize, overlap, tokenizer = null, pageBoxes = null) {
+  if (!text || text.trim().length === 0) return []
+  const segments = [{ at: 0, page, offset: 0, length: text.length }]
+  return windowSpans(text, resolveBudget(chunkSize, overlap, tokenizer)).map(({ start, end }) => ({
+    page,
+    pageEnd: page,
+    pageBreaks: [],
+    text: text.slice(start, end),
+    section: null,
+    boxes: rangeBoxes(sourceRanges(segments, start, end), pageBoxes),
+  }))
+}
+
+// Section label for a heading line, or null for body text. Returns
+// { label, rest } where rest is body text sharing the line ("Abstract—We ...").
+function detectHeading(line) {
+  const text = line.trim()
+  if (!text || text.length > MAX_HEADING_LENGTH * 2) return null
+
+  const markdown = /^#{1,6}\s+(.+?)\s*#*$/.exec(text)
+  if (markdown) return { label: markdown[1], rest: '' }
+
+  const inlineAbstract = /^(abstract|초록)\s*[—–:.-]\s*(.+)$/i.exec(text)
+  if (inlineAbstract) return { label: 'Abstract', rest: inlineAbstract[2] }
+
+  if (text.length > MAX_HEADING_LENGTH || /[.,;:!?]$/.test(text)) return null
+  const named = text.replace(/^(?:\d+(?:\.\d+)*|[IVX]+|[A-Z])\.?\s+/, '')
+  if (SECTION_NAMES.includes(named.toLowerCase())) return { label: text, rest: '' }
+
+  // "3.2 Experimental Setup", "IV. RESULTS", "A. Proofs": a short capitalized
+  // title. Wrapped body lines tend to end on a function word, titles don't.
+  const numbered = /^(?:\d{1,2}(?:\.\d{1,2}){0,3}\.?|[IVX]{1,5}\.|[A-H]\.)\s+(\p{Lu}.*)$/u.exec(text)
+  if (!numbered) return null
+  const words = numbered[1].split(/\s+/)
+  if (words.length > MAX_HEADING_WORDS || /\d{3,}/.test(numbered[1]) || TRAILING_WORDS.includes(words[words.length - 1].toLowerCase())) {
+    return null
+  }
+  return { label: text, rest: '' }
+}
+
+const sentenceSegmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, { granularity: 'sentence' })
+  : null
+
+// Text positions: chunks are [start, end) spans of one continuous text, and
+// pageStarts ([{ offset, page }], ascending) maps an offset back to its page.
+function pageAt(pageStarts, offset) {
+  let page = pageStarts[0]?.page || 1
+  for (const p of pageStarts) {
+    if (p.offset > offset) break
+    page = p.page
+  }
+  return page
+}
+
+// { page, pageEnd, pageBreaks } of a span; pageBreaks ([{ offset, page }]) are
+// where each following page begins in the chunk text
+function spanPages(pageStarts, start, end) {
+  const pageBreaks = pageStarts
+    .filter((p) => p.offset > start && p.offset < end)
+    .map((p) => ({ offset: p.offset - start, page: p.page }))
+  return { page: pageAt(pageStarts, start), pageEnd: pageAt(pageStarts, Math.max(start, end - 1)), pageBreaks }
+}
+
+// Lines ([{ text, page, offset, heading }], offset being where the line
+// starts in its page text) as one whitespace-collapsed text. A heading line
+// always ends its sentence.
+function flattenLines(lines) {
+  let text = ''
+  const pageStarts = []
+  const hardBreaks = []
+  const segments = []
+  for (const line of lines) {
+    const words = Array.from(line.text.matchAll(/\S+/g))
+    if (words.length === 0) continue
+    if (text) text += ' '
+    if (pageStarts.length === 0 || pageStarts[pageStarts.length - 1].page !== line.page) {
+      pageStarts.push({ offset: text.length, page: line.page })
+    }
+    words.forEach((m, i) => {
+      if (i > 0) text += ' '
+      segments.push({ at: text.length, page: line.page, offset: line.offset + m.index, length: m[0].length })
+      text += m[0]
+    })
+    if (line.heading) hardBreaks.push(text.length)
+  }
+  return { text, pageStarts, hardBreaks, segments }
+}
+
+function sentenceSpans(text, hardBreaks) {
+  const spans = []
+  let from = 0
+  for (const to of [...hardBreaks, text.length]) {
+    const piece = text.slice(from, to)
+    const segments = sentenceSegmenter
+      ? Array.from(sentenceSegmenter.segment(piece), (s) => ({ index: s.index, segment: s.segment }))
+      : Array.from(piece.matchAll(/[^.!?。]+(?:[.!?。]+|$)\s*/g), (m) => ({ index: m.index, segment: m[0] }))
+    for (const { index, segment } of segments) {
+      const lead = segment.length - segment.trimStart().length
+      const body = segment.trim()
+      if (body) spans.push({ start: from + index + lead, end: from + index + lead + body.length })
+    }
+    from = to
+  }
+  return spans
+}
+
+// A sentence longer than the budget is cut at the last space that fits
+function splitLongSpan(text, span, { size, tokenizer }) {
+  if (tokenizer) {
+    return windowSpans(text.slice(span.start, span.end), { size, overlap: 0, tokenizer })
+      .map((w) => ({ start: span.start + w.start, end: span.start + w.end }))
+  }
+  const parts = []
+  let start = span.start
+  while (span.end - start > size) {
+    let cut = text.lastIndexOf(' ', start + size)
+    if (cut <= start) cut = start + size
+    parts.push({ start, end: cut })
+    start = text[cut] === ' ' ? cut + 1 : cut
+  }
+  if (start < span.end) parts.push({ start, end: span.end })
+  return parts
+}
+
+function packSpans(text, spans, budget) {
+  const { size, overlap, tokenizer } = budget
+  const measure = (start, end) => measureSpan(text, start, end, tokenizer)
+  const units = spans.flatMap((s) => (measure(s.start, s.end) > size ? splitLongSpan(text, s, budget) : [s]))
+  const chunks = []
+  let current = []
+  for (const unit of units) {
+    if (current.length > 0 && measure(current[0].start, unit.end) > size) {
+      const end = current[current.length - 1].end
+      chunks.push({ start: current[0].start, end })
+      // Carry trailing sentences up to the overlap budget into the next chunk
+      let keep = current.length
+      while (keep > 1 && measure(current[keep - 1].start, end) <= overlap && measure(current[keep - 1].start, unit.end) <= size) keep--
+      current = current.slice(keep)
+    }
+    current.push(unit)
+  }
+  if (current.length > 0) chunks.push({ start: current[0].start, end: current[current.length - 1].end })
+  return chunks
+}
+
+function chunkBySentences(pages, budget, acrossPages, pageBoxes) {
+  const chunks = []
+  let section = null
+  let lines = []
+  const flush = () => {
+    const { text, pageStarts, hardBreaks, segments } = flattenLines(lines)
+    for (const span of packSpans(text, sentenceSpans(text, hardBreaks), budget)) {
+      chunks.push({
+        ...spanPages(pageStarts, span.start, span.end),
+        text: text.slice(span.start, span.end),
+        section,
+        boxes: rangeBoxes(sourceRanges(segments, span.start, span.end), pageBoxes),
+      })
+    }
+    lines = []
+  }
+  pages.forEach((pageText, i) => {
+    const page = i + 1
+    if (!acrossPages) flush()
+    let offset = 0
+    for (const line of String(pageText || '').split('\n')) {
+      const lineOffset = offset
+      offset += line.length + 1
+      const heading = detectHeading(line)
+      if (!heading) {
+        lines.push({ text: line, page, offset: lineOffset })
+        continue
+      }
+      flush()
+      section = heading.label
+      // The heading itself stays in the text as the section's first sentence
+      lines.push(heading.rest
+        ? { text: line, page, offset: lineOffset }
+        : { text: heading.label, page, offset: lineOffset + Math.max(0, line.indexOf(heading.label)), heading: true })
+    }
+  })
+  flush()
+  return chunks
+}
+
+// Fixed-size chunks over all pages joined by line breaks
+function chunkAcrossPages(pages, budget, pageBoxes) {
+  const pageStarts = []
+  const segments = []
+  let text = ''
+  pages.forEach((pageText, i) => {
+    const t = String(pageText || '')
+    if (!t.trim()) return
+    if (text) text += '\n'
+    pageStarts.push({ offset: text.length, page: i + 1 })
+    segments.push({ at: text.length, page: i + 1, offset: 0, length: t.length })
+    text += t
+  })
+  return windowSpans(text, budget).map(({ start, end }) => ({
+    ...spanPages(pageStarts, start, end),
+    text: text.slice(start, end),
+    section: null,
+    boxes: rangeBoxes(sourceRanges(segments, start, end), pageBoxes),
+  }))
+}
+
+// pages: extracted text per page (index 0 = page 1). acrossPages chunks the
+// document as one continuous text, so a paragraph running onto the next page
+// stays in one chunk. With a tokenizer, chunkSize and chunkOverlap are tokens.
+// pageBoxes: the extractor's item positions per page, for chunk boxes.
+function chunkDocument(pages, { strategy = 'fixed', chunkSize, chunkOverlap, acrossPages = false, tokenizer = null, pageBoxes = null }) {
+  const budget = resolveBudget(chunkSize, chunkOverlap, tokenizer)
+  if (normalizeChunkStrategy(strategy) === 'sentence') return chunkBySentences(pages, budget, acrossPages, pageBoxes)
+  if (acrossPages) return chunkAcrossPages(pages, budget, pageBoxes)
+  return pages.flatMap((t, i) => chunkPageText(t, i + 1, chunkSize, chunkOverlap, tokenizer, pageBoxes))
+}
+
+module.exports = {
+  CHUNK_STRATEGIES,
+  normalizeChunkStrategy,
+  chunkPageText,
+  detectHeading,
+  chunkDocument,
+}
@@ -0,0 +1,242 @@
+const path = require('node:path')
+const fs = require('node:fs')
+const crypto = require('node:crypto')
+
+// Content-addressed embedding cache shared by all workspaces.
+// Vectors are appended to vectors.bin as Float32 rows; index.json maps
+// key -> [byteOffset, dim, lastUsed]. Only the key map lives in memory,
+// vectors are read back from disk on a hit.
+const CACHE_VERSION = 1
+const DEFAULT_LIMIT_BYTES = 1024 * 1024 * 1024
+
+const cache = {
+  dir: null,
+  limitBytes: DEFAULT_LIMIT_BYTES,
+  loaded: false,
+  entries: new Map(), // key -> { offset, dim, lastUsed }
+  liveBytes: 0,
+  fileBytes: 0,
+  dirty: false,
+  saveTimer: null,
+}
+
+function configureEmbeddingCache({ dir, limitBytes }) {
+  if (dir && dir !== cache.dir) {
+    flushEmbeddingCache()
+    cache.dir = dir
+    cache.loaded = false
+    cache.entries.clear()
+  }
+  if (typeof limitBytes === 'number' && limitBytes >= 0) cache.limitBytes = limitBytes
+}
+
+function embeddingCacheKey(model, host, text) {
+  const textHash = crypto.createHash('sha256').update(text).digest('hex')
+  return crypto.createHash('sha256').update(`${model}\n${host}\n${textHash}`).digest('hex')
+}
+
+function indexPath() {
+  return path.join(cache.dir, 'index.json')
+}
+
+function vectorsPath() {
+  return path.join(cache.dir, 'vectors.bin')
+}
+
+// Rows no index points to (no index.json yet, an old version, or one that
+// can't be read) are dropped with the data file, so new rows are appended at
+// the offsets recorded for them
+function resetDataFile() {
+  fs.rmSync(vectorsPath(), { force: true })
+  cache.entries.clear()
+  cache.liveBytes = 0
+  cache.fileBytes = 0
+}
+
+function ensureLoaded() {
+  if (cache.loaded || !cache.dir) return
+  cache.loaded = true
+  cache.entries.clear()
+  cache.liveBytes = 0
+  cache.fileBytes = 0
+  try {
+    if (!fs.existsSync(vectorsPath())) return
+    const index = fs.existsSync(indexPath()) ? JSON.parse(fs.readFileSync(indexPath(), 'utf-8')) : null
+    if (index?.version !== CACHE_VERSION) {
+      resetDataFile()
+      return
+    }
+    cache.fileBytes = fs.statSync(vectorsPath()).size
+    for (const [key, [offset, dim, lastUsed]] of Object.entries(index.entries || {})) {
+      // Ignore entries pointing past the data file (e.g. after a crash mid-write)
+      if (offset + dim * 4 > cache.fileBytes) continue
+      cache.entries.set(key, { offset, dim, lastUsed })
+      cache.liveBytes += dim * 4
+    }
+  } catch (e) {
+    console.warn('Failed to load embedding cache:', e)
+    try {
+      resetDataFile()
+    } catch {
+      // Appends fail the same way and are reported there
+    }
+  }
+}
+
+// Returns an array (aligned with keys) of Float32Array or null for misses
+function getCachedEmbeddings(keys) {
+  ensureLoaded()
+  if (!cache.dir) return keys.map(() => null)
+  const now = Date.now()
+  const out = new Array(keys.length).fill(null)
+  let fd = null
+  try {
+    for (let i = 0; i < keys.length; i++) {
+      const entry = cache.entries.get(keys[i])
+      if (!entry) continue
+      if (fd === null) fd = fs.openSync(vectorsPath(), 'r')
+      const buf = Buffer.alloc(entry.dim * 4)
+      fs.readSync(fd, buf, 0, buf.length, entry.offset)
+      out[i] = new Float32Array(buf.buffer, buf.byteOffset, entry.dim)
+      entry.lastUsed = now
+      cache.dirty = true
+    }
+  } catch (e) {
+    console.warn('Failed to read embedding cache:', e)
+  } finally {
+    if (fd !== null) fs.closeSync(fd)
+  }
+  if (cache.dirty) scheduleSave()
+  return out
+}
+
+function putCachedEmbeddings(keys, vectors) {
+  ensureLoaded()
+  if (!cache.dir || cache.limitBytes === 0) return
+  const now = Date.now()
+  const rows = []
+  for (let i = 0; i < keys.length; i++) {
+    if (!vectors[i] || cache.entries.has(keys[i])) continue
+    rows.push({ key: keys[i], vector: Float32Array.from(vectors[i]) })
+  }
+  if (rows.length === 0) return
+
+  fs.mkdirSync(cache.dir, { recursive: true })
+  const total = rows.reduce((n, r) => n + r.vector.byteLength, 0)
+  const data = Buffer.alloc(total)
+  let pos = 0
+  for (const r of rows) {
+    Buffer.from(r.vector.buffer, r.vector.byteOffset, r.vector.byteLength).copy(data, pos)
+    cache.entries.set(r.key, { offset: cache.fileBytes + pos, dim: r.vector.length, lastUsed: now })
+    cache.liveBytes += r.vector.byteLength
+    pos += r.vector.byteLength
+  }
+  fs.appendFileSync(vectorsPath(), data)
+  cache.fileBytes += total
+  cache.dirty = true
+  scheduleSave()
+}
+
+function scheduleSave() {
+  if (cache.saveTimer) return
+  cache.saveTimer = setTimeout(() => {
+    cache.saveTimer = null
+    flushEmbeddingCache()
+  }, 2000)
+}
+
+// Drop least recently used entries until the cache fits in 90% of the limit,
+// then rewrite the data file once dead rows outweigh live ones.
+function evict() {
+  if (cache.liveBytes > cache.limitBytes) {
+    const target = cache.limitBytes * 0.9
+    const byAge = [...cache.entries.entries()].sort((a, b) => a[1].lastUsed - b[1].lastUsed)
+    for (const [key, entry] of byAge) {
+      if (cache.liveBytes <= target) break
+      cache.entries.delete(key)
+      cache.liveBytes -= entry.dim * 4
+    }
+  }
+  if (cache.fileBytes > cache.liveBytes * 2 + 1024 * 1024) compact()
+}
+
+// Live rows are copied one by one into a new data file, so memory use doesn't
+// grow with the cache size. Offsets are only updated once the file is in place.
+function compact() {
+  const tmp = `${vectorsPath()}.tmp`
+  const offsets = new Map() // entry -> new offset
+  const fd = fs.openSync(vectorsPath(), 'r')
+  let out = null
+  let pos = 0
+  try {
+    out = fs.openSync(tmp, 'w')
+    let buf = Buffer.alloc(0)
+    for (const entry of cache.entries.values()) {
+      const len = entry.dim * 4
+      if (buf.length < len) buf = Buffer.alloc(len)
+      fs.readSync(fd, buf, 0, len, entry.offset)
+      fs.writeSync(out, buf, 0, len, pos)
+      offsets.set(entry, pos)
+      pos += len
+    }
+  } finally {
+    fs.closeSync(fd)
+    if (out !== null) fs.closeSync(out)
+  }
+  fs.renameSync(tmp, vectorsPath())
+  for (const [entry, offset] of offsets) entry.offset = offset
+  cache.fileBytes = pos
+}
+
+function flushEmbeddingCache() {
+  if (cache.saveTimer) {
+    clearTimeout(cache.saveTimer)
+    cache.saveTimer = null
+  }
+  if (!cache.dir || !cache.loaded || !cache.dirty) return
+  try {
+    evict()
+    const entries = {}
+    for (const [key, e] of cache.entries) entries[key] = [e.offset, e.dim, e.lastUsed]
+    fs.mkdirSync(cache.dir, { recursive: true })
+    const tmp = `${indexPath()}.tmp`
+    fs.writeFileSync(tmp, JSON.stringify({ version: CACHE_VERSION, entries }))
+    fs.renameSync(tmp, indexPath())
+    cache.dirty = false
+  } catch (e) {
+    console.warn('Failed to save embedding cache:', e)
+  }
+}
+
+function clearEmbeddingCache() {
+  if (cache.saveTimer) {
+    clearTimeout(cache.saveTimer)
+    cache.saveTimer = null
+  }
+  cache.entries.clear()
+  cache.liveBytes = 0
+  cache.fileBytes = 0
+  cache.dirty = false
+  cache.loaded = true
+  if (cache.dir) fs.rmSync(cache.dir, { recursive: true, force: true })
+}
+
+function getEmbeddingCacheStats() {
+  ensureLoaded()
+  return {
+    entries: cache.entries.size,
+    bytes: cache.liveBytes,
+    fileBytes: cache.fileBytes,
+    limitBytes: cache.limitBytes,
+  }
+}
+
+module.exports = {
+  configureEmbeddingCache,
+  embeddingCacheKey,
+  getCachedEmbeddings,
+  putCachedEmbeddings,
+  flushEmbeddingCache,
+  clearEmbeddingCache,
+  getEmbeddingCacheStats,
+}
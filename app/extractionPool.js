@@ -0,0 +1,107 @@
+const path = require('node:path')
+const os = require('node:os')
+const { Worker } = require('node:worker_threads')
+
+// Pool of worker threads running pdfExtractWorker.js, so PDF parsing never
+// blocks the main process. Each file gets its own timeout: a worker that
+// overruns is terminated and replaced, and the file fails with 'TIMEOUT'.
+// destroy() terminates every worker and fails queued files with 'CANCELLED'.
+const WORKER_PATH = path.join(__dirname, 'pdfExtractWorker.js')
+
+function defaultPoolSize() {
+  const cpus = typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length
+  return Math.max(1, cpus)
+}
+
+class ExtractionPool {
+  constructor({ size = defaultPoolSize(), timeoutMs = 120000 } = {}) {
+    this.size = Math.max(1, size)
+    this.timeoutMs = timeoutMs
+    this.workers = [] // { worker, job }
+    this.queue = [] // { id, filePath, options, resolve, reject }
+    this.nextId = 1
+    this.destroyed = false
+  }
+
+  // Resolves with { pages, boxes, metadata } for filePath (see pdfExtractWorker.js). options: { layout }
+  extract(filePath, options = {}) {
+    if (this.destroyed) return Promise.reject(new Error('CANCELLED'))
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextId++, filePath, options, resolve, reject })
+      this.dispatch()
+    })
+  }
+
+  dispatch() {
+    while (this.queue.length > 0 && !this.destroyed) {
+      let slot = this.workers.find((w) => !w.job)
+      if (!slot) {
+        if (this.workers.length >= this.size) return
+        slot = this.spawn()
+      }
+      this.run(slot, this.queue.shift())
+    }
+  }
+
+  spawn() {
+    const slot = { worker: new Worker(WORKER_PATH), job: null }
+    slot.worker.on('message', (msg) => {
+      const job = slot.job
+      if (!job || msg.id !== job.id) return
+      this.finish(slot)
+      if (msg.error) {
+        const error = new Error(msg.error)
+        if (msg.name) error.name = msg.name
+        if (msg.code) error.code = msg.code
+        job.reject(error)
+      } else {
+        job.resolve({ pages: msg.pages, boxes: msg.boxes || [], metadata: msg.metadata || null })
+      }
+    })
+    // A crashed worker fails its file and is replaced on the next dispatch
+    slot.worker.on('error', (e) => this.fail(slot, e))
+    slot.worker.on('exit', (code) => {
+      if (slot.job) this.fail(slot, new Error(`Extraction worker exited (${code})`))
+    })
+    this.workers.push(slot)
+    return slot
+  }
+
+  run(slot, job) {
+    slot.job = job
+    slot.timer = setTimeout(() => this.fail(slot, new Error('TIMEOUT')), this.timeoutMs)
+    slot.worker.postMessage({ id: job.id, filePath: job.filePath, ...job.options })
+  }
+
+  finish(slot) {
+    clearTimeout(slot.timer)
+    slot.job = null
+    this.dispatch()
+  }
+
+  fail(slot, error) {
+    const job = slot.job
+    clearTimeout(slot.timer)
+    slot.job = null
+    this.workers = this.workers.filter((w) => w !== slot)
+    slot.worker.terminate().catch(() => {})
+    if (job) job.reject(error)
+    this.dispatch()
+  }
+
+  destroy() {
+    if (this.destroyed) return
+    this.destroyed = true
+    const pending = [...this.queue, ...this.workers.map((w) => w.job).filter(Boolean)]
+    this.queue = []
+    for (const slot of this.workers) {
+      clearTimeout(slot.timer)
+      slot.job = null
+      slot.worker.terminate().catch(() => {})
+    }
+    this.workers = []
+    for (const job of pending) job.reject(new Error('CANCELLED'))
+  }
+}
+
+module.exports = { ExtractionPool }
@@ -0,0 +1,264 @@
+// Hierarchical Navigable Small World graph for approximate cosine search
+// (Malkov & Yashunin, 2016). The graph only stores node links; vectors are
+// read through getVector/getNorm so embeddings aren't duplicated in memory.
+const HNSW_VERSION = 1
+
+// Binary heap ordered by `score`; `max` puts the highest score on top
+class Heap {
+  constructor(max) {
+    this.max = max
+    this.items = []
+  }
+
+  get size() {
+    return this.items.length
+  }
+
+  peek() {
+    return this.items[0]
+  }
+
+  better(a, b) {
+    return this.max ? a.score > b.score : a.score < b.score
+  }
+
+  push(item) {
+    const items = this.items
+    items.push(item)
+    let i = items.length - 1
+    while (i > 0) {
+      const parent = (i - 1) >> 1
+      if (!this.better(items[i], items[parent])) break
+      ;[items[i], items[parent]] = [items[parent], items[i]]
+      i = parent
+    }
+  }
+
+  pop() {
+    const items = this.items
+    const top = items[0]
+    const last = items.pop()
+    if (items.length > 0) {
+      items[0] = last
+      let i = 0
+      for (;;) {
+        const l = i * 2 + 1
+        const r = l + 1
+        let best = i
+        if (l < items.length && this.better(items[l], items[best])) best = l
+        if (r < items.length && this.better(items[r], items[best])) best = r
+        if (best === i) break
+        ;[items[i], items[best]] = [items[best], items[i]]
+        i = best
+      }
+    }
+    return top
+  }
+}
+
+class HnswIndex {
+  constructor({ getVector, getNorm, M = 16, efConstruction = 200, seed = 42 }) {
+    this.getVector = getVector
+    this.getNorm = getNorm
+    this.M = M
+    this.M0 = M * 2
+    this.efConstruction = efConstruction
+    this.levelMult = 1 / Math.log(M)
+    this.links = [] // node -> [level0 Int32Array-like arrays...]
+    this.entryPoint = -1
+    this.maxLevel = -1
+    this.rngState = seed >>> 0 || 1
+    this.visited = new Uint32Array(0)
+    this.visitMark = 0
+  }
+
+  get size() {
+    return this.links.length
+  }
+
+  random() {
+    // xorshift32, deterministic so rebuilt graphs are reproducible
+    let x = this.rngState
+    x ^= x << 13
+    x ^= x >>> 17
+    x ^= x << 5
+    this.rngState = x >>> 0
+    return this.rngState / 4294967296
+  }
+
+  similarity(query, queryNorm, node) {
+    const v = this.getVector(node)
+    const n = this.getNorm(node)
+    if (!v || !n || !queryNorm) return -1
+    let s = 0
+    for (let i = 0; i < query.length; i++) s += query[i] * v[i]
+    return s / (queryNorm * n)
+  }
+
+  nextVisitMark() {
+    if (this.visited.length < this.links.length) {
+      const grown = new Uint32Array(Math.max(this.links.length, this.visited.length * 2, 1024))
+      this.visited = grown
+      this.visitMark = 0
+    }
+    this.visitMark++
+    if (this.visitMark === 0xffffffff) {
+      this.visited.fill(0)
+      this.visitMark = 1
+    }
+    return this.visitMark
+  }
+
+  searchLayer(query, queryNorm, entries, ef, level) {
+    const mark = this.nextVisitMark()
+    const candidates = new Heap(true)
+    const results = new Heap(false)
+    for (const e of entries) {
+      this.visited[e.id] = mark
+      candidates.push(e)
+      results.push(e)
+    }
+    while (results.size > ef) results.pop()
+
+    while (candidates.size > 0) {
+      const current = candidates.pop()
+      if (results.size >= ef && current.score < results.peek().score) break
+      const neighbors = this.links[current.id][level] || []
+      for (const nb of neighbors) {
+        if (this.visited[nb] === mark) continue
+        this.visited[nb] = mark
+        const score = this.similarity(query, queryNorm, nb)
+        if (results.size < ef || score > results.peek().score) {
+          const item = { id: nb, score }
+          candidates.push(item)
+          results.push(item)
+          if (results.size > ef) results.pop()
+        }
+      }
+    }
+
+    const out = []
+    while (results.size > 0) out.push(results.pop())
+    return out.reverse() // best first
+  }
+
+  // Keep a candidate only if it is closer to the base node than to any
+  // neighbour already kept, which spreads links across clusters
+  selectNeighbors(candidates, max) {
+    const selected = []
+    const pruned = []
+    for (const c of candidates) {
+      if (selected.length >= max) break
+      const v = this.getVector(c.id)
+      const n = this.getNorm(c.id)
+      let keep = true
+      for (const s of selected) {
+        if (this.similarity(v, n, s.id) > c.score) {
+          keep = false
+          break
+        }
+      }
+      if (keep) selected.push(c)
+      else pruned.push(c)
+    }
+    for (const c of pruned) {
+      if (selected.length >= max) break
+      selected.push(c)
+    }
+    return selected
+  }
+
+  add() {
+    const id = this.links.length
+    const level = Math.floor(-Math.log(Math.max(this.random(), 1e-12)) * this.levelMult)
+    this.links.push(Array.from({ length: level + 1 }, () => []))
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = id
+      this.maxLevel = level
+      return id
+    }
+
+    const query = this.getVector(id)
+    const queryNorm = this.getNorm(id)
+    let entries = [{ id: this.entryPoint, score: this.similarity(query, queryNorm, this.entryPoint) }]
+
+    for (let l = this.maxLevel; l > level; l--) {
+      entries = this.searchLayer(query, queryNorm, entries, 1, l)
+    }
+
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const found = this.searchLayer(query, queryNorm, entries, this.efConstruction, l)
+      const maxLinks = l === 0 ? this.M0 : this.M
+      const neighbors = this.selectNeighbors(found, this.M)
+      this.links[id][l] = neighbors.map((n) => n.id)
+
+      for (const n of neighbors) {
+        const nbLinks = this.links[n.id][l]
+        nbLinks.push(id)
+        if (nbLinks.length > maxLinks) {
+          const v = this.getVector(n.id)
+          const norm = this.getNorm(n.id)
+          const scored = nbLinks
+            .map((x) => ({ id: x, score: this.similarity(v, norm, x) }))
+            .sort((a, b) => b.score - a.score)
+          this.links[n.id][l] = this.selectNeighbors(scored, maxLinks).map((x) => x.id)
+        }
+      }
+      entries = found
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level
+      this.entryPoint = id
+    }
+    return id
+  }
+
+  search(query, queryNorm, k, ef = 64) {
+    if (this.entryPoint === -1) return []
+    let entries = [{ id: this.entryPoint, score: this.similarity(query, queryNorm, this.entryPoint) }]
+    for (let l = this.maxLevel; l > 0; l--) {
+      entries = this.searchLayer(query, queryNorm, entries, 1, l)
+    }
+    return this.searchLayer(query, queryNorm, entries, Math.max(ef, k), 0).slice(0, k)
+  }
+
+  // Layout: Int32 [version, M, efConstruction, entryPoint, maxLevel, count,
+  //   then per node: level, per level: linkCount, links...]
+  toBuffer() {
+    const data = [HNSW_VERSION, this.M, this.efConstruction, this.entryPoint, this.maxLevel, this.links.length]
+    for (const levels of this.links) {
+      data.push(levels.length - 1)
+      for (const l of levels) {
+        data.push(l.length)
+        for (const x of l) data.push(x)
+      }
+    }
+    const arr = Int32Array.from(data)
+    return Buffer.from(arr.buffer, arr.byteOffset, arr.byteLength)
+  }
+
+  static fromBuffer(buf, { getVector, getNorm }) {
+    const data = new Int32Array(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength))
+    if (data[0] !== HNSW_VERSION) throw new Error('Unsupported HNSW index version')
+    const index = new HnswIndex({ getVector, getNorm, M: data[1], efConstruction: data[2] })
+    index.entryPoint = data[3]
+    index.maxLevel = data[4]
+    const count = data[5]
+    let pos = 6
+    for (let i = 0; i < count; i++) {
+      const level = data[pos++]
+      const levels = []
+      for (let l = 0; l <= level; l++) {
+        const n = data[pos++]
+        levels.push(Array.from(data.subarray(pos, pos + n)))
+        pos += n
+      }
+      index.links.push(levels)
+    }
+    return index
+  }
+}
+
+module.exports = { HnswIndex }
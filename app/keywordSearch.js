@@ -0,0 +1,270 @@
+// Keyword query language over extracted chunk text, for finding every
+// occurrence of exact wording where embeddings are the wrong tool.
+//
+//   ablation "batch size"        both (implicit AND)
+//   dropout OR regularization    either
+//   transformer NOT vision       first without the second (also -vision)
+//   ablation NEAR/10 "batch size"  at most 10 words apart (NEAR alone = 10)
+//   /resnet-?\d+/i               regular expression with flags
+//   optim*                       prefix
+//   (a OR b) AND c               grouping
+//
+// Terms and phrases are case-insensitive whole words; regexes use their own flags.
+// Regexes with a repeat inside a repeated group, like (a+)+, are refused.
+const DEFAULT_NEAR = 10
+const WORD = /[\p{L}\p{N}]+/gu
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+function queryError(message) {
+  return new Error(`검색식 오류: ${message}`)
+}
+
+function lex(query) {
+  const tokens = []
+  let i = 0
+  while (i < query.length) {
+    const ch = query[i]
+    if (/\s/.test(ch)) {
+      i++
+    } else if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch })
+      i++
+    } else if (ch === '"') {
+      const end = query.indexOf('"', i + 1)
+      if (end < 0) throw queryError('닫히지 않은 따옴표가 있습니다')
+      const phrase = query.slice(i + 1, end).trim()
+      if (phrase) tokens.push({ type: 'phrase', value: phrase })
+      i = end + 1
+    } else if (ch === '/') {
+      let end = i + 1
+      while (end < query.length && query[end] !== '/') end += query[end] === '\\' ? 2 : 1
+      if (end >= query.length) throw queryError('닫히지 않은 정규식이 있습니다')
+      const flags = /^[a-z]*/.exec(query.slice(end + 1))[0]
+      tokens.push({ type: 'regex', value: query.slice(i + 1, end), flags })
+      i = end + 1 + flags.length
+    } else {
+      let end = i
+      while (end < query.length && !/[\s()"]/.test(query[end])) end++
+      const word = query.slice(i, end)
+      const near = /^NEAR(?:\/(\d+))?$/.exec(word)
+      if (word === 'AND' || word === 'OR' || word === 'NOT') tokens.push({ type: word })
+      else if (near) tokens.push({ type: 'NEAR', distance: near[1] ? Number(near[1]) : DEFAULT_NEAR })
+      else if (word.startsWith('-') && word.length > 1) tokens.push({ type: 'NOT' }, { type: 'term', value: word.slice(1) })
+      else tokens.push({ type: 'term', value: word })
+      i = end
+    }
+  }
+  return tokens
+}
+
+// Length of the quantifier at source[i] (0 if none) and whether it can repeat
+// its atom more than once
+function quantifierAt(source, i) {
+  const ch = source[i]
+  if (ch === '*' || ch === '+') return { length: 1, repeats: true }
+  if (ch === '?') return { length: 1, repeats: false }
+  const braces = ch === '{' && /^\{(\d+)(,(\d*))?\}/.exec(source.slice(i))
+  if (!braces) return { length: 0, repeats: false }
+  const max = braces[2] ? (braces[3] ? Number(braces[3]) : Infinity) : Number(braces[1])
+  return { length: braces[0].length, repeats: max > 1 }
+}
+
+// Regexes run in the main process over every chunk; a repeated group that
+// itself contains a repeat can backtrack exponentially on a near miss and
+// freeze the app
+function hasNestedQuantifier(source) {
+  const groups = [false] // per open group: whether it contains a repeat
+  let i = 0
+  while (i < source.length) {
+    const ch = source[i]
+    let innerRepeat = false
+    if (ch === '\\') {
+      i += 2
+    } else if (ch === '[') {
+      i++
+      while (i < source.length && source[i] !== ']') i += source[i] === '\\' ? 2 : 1
+      i++
+    } else if (ch === '(') {
+      groups.push(false)
+      i++
+      // The ? of (?:, (?=, (?<=, (?<name> ... is no quantifier
+      if (source[i] === '?') {
+        while (i < source.length && !':=!>'.includes(source[i])) i++
+        i++
+      }
+      continue
+    } else if (ch === ')') {
+      innerRepeat = groups.length > 1 ? groups.pop() : false
+      groups[groups.length - 1] ||= innerRepeat
+      i++
+    } else {
+      i++
+    }
+    const q = quantifierAt(source, i)
+    if (q.repeats && innerRepeat) return true
+    if (q.repeats) groups[groups.length - 1] = true
+    i += q.length
+    if (q.length && source[i] === '?') i++ // lazy
+  }
+  return false
+}
+
+function leaf(token) {
+  if (token.type === 'regex') {
+    if (hasNestedQuantifier(token.value)) throw queryError(`/${token.value}/ 처럼 반복 안에 반복이 있는 정규식은 지원하지 않습니다`)
+    try {
+      return { type: 'match', label: `/${token.value}/`, pattern: new RegExp(token.value, token.flags.replace('g', '') + 'g') }
+    } catch (e) {
+      throw queryError(`잘못된 정규식 /${token.value}/ (${e.message})`)
+    }
+  }
+  const words = token.value.normalize('NFKC').split(/\s+/).filter(Boolean)
+  const prefix = token.type === 'term' && words.length === 1 && words[0].endsWith('*') && words[0].length > 1
+  const body = prefix
+    ? escapeRegExp(words[0].slice(0, -1)) + '[\\p{L}\\p{N}]*'
+    : words.map(escapeRegExp).join('\\s+')
+  return {
+    type: 'match',
+    label: token.type === 'phrase' ? `"${token.value}"` : token.value,
+    pattern: new RegExp(`(?<![\\p{L}\\p{N}])${body}(?![\\p{L}\\p{N}])`, 'giu'),
+  }
+}
+
+// Recursive descent: OR < AND (explicit or implicit) < NEAR < NOT < primary
+function parseKeywordQuery(query) {
+  const tokens = lex(String(query || ''))
+  if (tokens.length === 0) throw queryError('검색어가 비어 있습니다')
+  let pos = 0
+  const peek = () => tokens[pos]
+  const startsOperand = (t) => t && (t.type === 'term' || t.type === 'phrase' || t.type === 'regex' || t.type === '(' || t.type === 'NOT')
+
+  function parseOr() {
+    const children = [parseAnd()]
+    while (peek()?.type === 'OR') {
+      pos++
+      children.push(parseAnd())
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children }
+  }
+
+  function parseAnd() {
+    const children = [parseNear()]
+    for (;;) {
+      if (peek()?.type === 'AND') pos++
+      else if (!startsOperand(peek())) break
+      children.push(parseNear())
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children }
+  }
+
+  function parseNear() {
+    let node = parseUnary()
+    while (peek()?.type === 'NEAR') {
+      const { distance } = tokens[pos++]
+      node = { type: 'near', distance, left: node, right: parseUnary() }
+    }
+    return node
+  }
+
+  function parseUnary() {
+    if (peek()?.type === 'NOT') {
+      pos++
+      return { type: 'not', child: parseUnary() }
+    }
+    return parsePrimary()
+  }
+
+  function parsePrimary() {
+    const token = tokens[pos++]
+    if (!token) throw queryError('연산자 뒤에 검색어가 없습니다')
+    if (token.type === '(') {
+      const node = parseOr()
+      if (tokens[pos++]?.type !== ')') throw queryError('괄호가 닫히지 않았습니다')
+      return node
+    }
+    if (token.type === 'term' || token.type === 'phrase' || token.type === 'regex') return leaf(token)
+    throw queryError(`예상하지 못한 ${token.type}`)
+  }
+
+  const ast = parseOr()
+  if (pos < tokens.length) throw queryError(`예상하지 못한 ${tokens[pos].type}`)
+  return ast
+}
+
+// Word index of every character offset's word, for NEAR distances
+function wordStarts(text) {
+  return Array.from(text.matchAll(WORD), (m) => m.index)
+}
+
+function wordIndexAt(starts, offset) {
+  let lo = 0
+  let hi = starts.length - 1
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1
+    if (starts[mid] <= offset) lo = mid
+    else hi = mid - 1
+  }
+  return lo
+}
+
+function evaluate(node, text, ctx) {
+  switch (node.type) {
+    case 'match': {
+      const spans = []
+      node.pattern.lastIndex = 0
+      for (let m; (m = node.pattern.exec(text)) !== null;) {
+        if (m[0].length === 0) {
+          node.pattern.lastIndex++
+          continue
+        }
+        spans.push({ start: m.index, end: m.index + m[0].length, text: m[0] })
+      }
+      return { ok: spans.length > 0, spans }
+    }
+    case 'and': {
+      const results = node.children.map((c) => evaluate(c, text, ctx))
+      return { ok: results.every((r) => r.ok), spans: results.flatMap((r) => r.spans) }
+    }
+    case 'or': {
+      const results = node.children.map((c) => evaluate(c, text, ctx)).filter((r) => r.ok)
+      return { ok: results.length > 0, spans: results.flatMap((r) => r.spans) }
+    }
+    case 'not':
+      return { ok: !evaluate(node.child, text, ctx).ok, spans: [] }
+    case 'near': {
+      const left = evaluate(node.left, text, ctx)
+      const right = evaluate(node.right, text, ctx)
+      if (!left.ok || !right.ok) return { ok: false, spans: [] }
+      if (!ctx.starts) ctx.starts = wordStarts(text)
+      const spans = new Set()
+      for (const a of left.spans) {
+        for (const b of right.spans) {
+          const [first, second] = a.start <= b.start ? [a, b] : [b, a]
+          const between = wordIndexAt(ctx.starts, second.start) - wordIndexAt(ctx.starts, Math.max(first.start, first.end - 1)) - 1
+          if (between <= node.distance) {
+            spans.add(a)
+            spans.add(b)
+          }
+        }
+      }
+      return { ok: spans.size > 0, spans: [...spans] }
+    }
+    default:
+      return { ok: false, spans: [] }
+  }
+}
+
+// Returns the matched spans [{ start, end, text }] in order, or null when text doesn't match
+function matchKeywordQuery(ast, text) {
+  const normalized = String(text || '').normalize('NFKC')
+  const { ok, spans } = evaluate(ast, normalized, {})
+  if (!ok) return null
+  const unique = new Map()
+  for (const s of spans) unique.set(`${s.start}:${s.end}`, s)
+  return [...unique.values()].sort((a, b) => a.start - b.start)
+}
+
+module.exports = { parseKeywordQuery, matchKeywordQuery }
@@ -0,0 +1,75 @@
+// BM25 inverted index over chunk texts, for exact terms (model names,
+// dataset IDs, symbols) that dense embeddings tend to blur.
+// Built from the in-memory docs; postings reference { doc, row } like the ANN nodes.
+const BM25_K1 = 1.2
+const BM25_B = 0.75
+
+// Lowercased NFKC tokens. Compound tokens such as "gpt-4", "resnet_50" or
+// "v1.2" are kept whole and also split into their parts.
+function tokenize(text) {
+  const tokens = []
+  const normalized = String(text || '').normalize('NFKC').toLowerCase()
+  for (const match of normalized.matchAll(/[\p{L}\p{N}]+(?:[-_.'][\p{L}\p{N}]+)*/gu)) {
+    const token = match[0]
+    tokens.push(token)
+    if (/[-_.']/.test(token)) {
+      for (const part of token.split(/[-_.']/)) {
+        if (part) tokens.push(part)
+      }
+    }
+  }
+  return tokens
+}
+
+function buildLexicalIndex(docs) {
+  const postings = new Map() // term -> [{ doc, row, tf }]
+  const lengths = new Map() // doc -> Int32Array of token counts per chunk
+  let totalLength = 0
+  let chunkCount = 0
+  for (const doc of docs.values()) {
+    const docLengths = new Int32Array(doc.chunks.length)
+    doc.chunks.forEach((chunk, row) => {
+      const tokens = tokenize(chunk.text)
+      docLengths[row] = tokens.length
+      totalLength += tokens.length
+      chunkCount++
+      const tf = new Map()
+      for (const t of tokens) tf.set(t, (tf.get(t) || 0) + 1)
+      for (const [term, count] of tf) {
+        let list = postings.get(term)
+        if (!list) postings.set(term, (list = []))
+        list.push({ doc, row, tf: count })
+      }
+    })
+    lengths.set(doc, docLengths)
+  }
+  return { postings, lengths, chunkCount, avgLength: chunkCount ? totalLength / chunkCount : 0 }
+}
+
+// Returns [{ doc, row, score }] for every chunk containing a query term, best first
+function searchLexicalIndex(index, query, documentFilter = null) {
+  const terms = [...new Set(tokenize(query))]
+  const allowed = documentFilter ? new Set(documentFilter) : null
+  const scores = new Map() // doc -> Map(row -> { doc, row, score })
+  const N = index.chunkCount
+  for (const term of terms) {
+    const list = index.postings.get(term)
+    if (!list) continue
+    const idf = Math.log(1 + (N - list.length + 0.5) / (list.length + 0.5))
+    for (const { doc, row, tf } of list) {
+      if (allowed && !allowed.has(doc.id)) continue
+      const len = index.lengths.get(doc)[row]
+      const s = idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * len / (index.avgLength || 1)))
+      let rows = scores.get(doc)
+      if (!rows) scores.set(doc, (rows = new Map()))
+      const hit = rows.get(row)
+      if (hit) hit.score += s
+      else rows.set(row, { doc, row, score: s })
+    }
+  }
+  const results = []
+  for (const rows of scores.values()) results.push(...rows.values())
+  return results.sort((a, b) => b.score - a.score)
+}
+
+module.exports = { tokenize, buildLexicalIndex, searchLexicalIndex }
@@ -3,26 +3,86 @@ const { app, BrowserWindow, dialog, ipcMain, shell, nativeTheme, clipboard } = e
 const path = require('node:path')
 const fs = require('node:fs')
 const url = require('node:url')
+const crypto = require('node:crypto')
 const axios = require('axios')
-// Removed MiniSearch dependency - using dense vector search only
-
-// Lazy import pdfjs-dist for text extraction
-let pdfjsLib = null
+const {
+  configureEmbeddingCache,
+  embeddingCacheKey,
+  getCachedEmbeddings,
+  putCachedEmbeddings,
+  flushEmbeddingCache,
+  clearEmbeddingCache,
+  getEmbeddingCacheStats,
+} = require('./embeddingCache')
+const { HnswIndex } = require('./hnsw')
+const {
+  normalizeQuantization,
+  packVectors,
+  hasRow,
+  unpackRow,
+  cosineRow,
+  blockBytes,
+} = require('./vectorStore')
+const { buildLexicalIndex, searchLexicalIndex } = require('./lexicalIndex')
+const { parseKeywordQuery, matchKeywordQuery } = require('./keywordSearch')
+const {
+  loadSearchHistory,
+  addSearchHistory,
+  updateSearchHistory,
+  removeSearchHistory,
+  clearSearchHistory,
+} = require('./searchHistory')
+const { ExtractionPool } = require('./extractionPool')
+const { normalizeChunkStrategy, chunkDocument } = require('./chunking')
+const { GLOBAL_RESULT_MODES, fuseByDoc, mergeQueryResults, resultDepth, selectResults, similarityScore } = require('./resultSelection')
+const { detectTokenizerFamily, maxInputTokens, createTokenizer } = require('./tokenizer')
+const { isCancelled, withRetry, RateLimiter } = require('./requestRetry')
 
 // Preprocess state
-let currentPreprocess = null // { cancelled, controller, running }
+let currentPreprocess = null // { cancelled, controller, running, pool }
+let pendingBackgroundIndex = false // watcher saw changes while a run was in progress
+
+// Shared by preprocess and search so concurrent batches respect the server's RPM limit
+const embeddingLimiter = new RateLimiter()
+
+// Folder watcher state
+let workspaceWatcher = null // { root, watcher, sender, timer, touched: Set, waitCounts: Map }
 
 // Global in-memory state (no DB)
 const workspace = {
   root: null,
   includeFiles: [],
-  docs: new Map(), // docId -> { id, path, pages, chunks: [{id, page, text, embedding, norm}] }
+  docs: new Map(), // docId -> { id, path, pages, chunks: [{id, page, pageEnd, pageBreaks, text, section, boxes}], vectors, fileRows }
+  index: null, // { savedAt, settings } of the on-disk index the docs were built/loaded from
+  ann: null, // { index: HnswIndex, nodes: [{ doc, row }] } when the ANN index is enabled
+  failedFiles: [], // [{ path, reason, message, size, mtimeMs }] files the last run skipped
+  lexical: null, // BM25 index over workspace.docs, rebuilt when they change
   settings: {
     embeddingHost: '',
     embeddingModel: '',
     apiKey: '',
     chunkSize: 1200,
     chunkOverlap: 200,
+    chunkStrategy: 'fixed', // fixed | sentence (see chunking.js)
+    chunkAcrossPages: false, // chunk the continuous document text instead of each page
+    chunkUnit: 'chars', // chars | tokens: unit of chunkSize/chunkOverlap
+    tokenizerFamily: 'auto', // auto (from the model name) | cl100k | wordpiece | sentencepiece
+    embeddingMaxTokens: {}, // model -> max input tokens, overriding the known defaults (see tokenizer.js)
+    embeddingCacheLimitMB: 1024,
+    annEnabled: false,
+    annMinChunks: 20000,
+    annEfSearch: 128,
+    extractTimeoutSec: 120, // per PDF, in the extraction worker pool
+    pdfLayout: true, // reading order, header/footer and hyphenation pass (see pdfLayout.js)
+    embedConcurrency: 4, // embedding batches in flight at once
+    embedMaxRetries: 4, // per batch, on 429/5xx/timeouts
+    embedRpm: 0, // requests per minute, 0 = unlimited
+    rerankMethod: 'llm', // llm (chat model scores each hit) | endpoint (/v1/rerank)
+    rerankHost: '',
+    rerankModel: '',
+    rerankApiKey: '',
+    rerankTimeoutSec: 60,
+    vectorQuantization: 'none', // none | float16 | int8
   },
 }
 
@@ -99,6 +159,10 @@ app.whenReady().then(() => {
   })
 })
 
+app.on('before-quit', () => {
+  flushEmbeddingCache()
+})
+
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') app.quit()
 })
@@ -121,42 +185,6 @@ function walkDir(dir) {
   return result
 }
 
-async function loadPdfTextPages(filePath) {
-  if (!pdfjsLib) {
-    // Use legacy ESM build for Node compatibility (v5+)
-    pdfjsLib = await import('pdfjs-dist/legacy/build/pdf.mjs')
-  }
-  // Read the file directly to avoid URL fetch differences
-  const data = new Uint8Array(fs.readFileSync(filePath))
-  const loadingTask = pdfjsLib.getDocument({ data })
-  const pdf = await loadingTask.promise
-  const pages = []
-  const total = pdf.numPages
-  for (let i = 1; i <= total; i++) {
-    const page = await pdf.getPage(i)
-    const tc = await page.getTextContent()
-    const text = tc.items.map((it) => it.str).join(' ')
-    pages.push(text)
-  }
-  return pages
-}
-
-function chunkPageText(text, page, chunkSize, overlap) {
-  const chunks = []
-  if (!text || text.trim().length === 0) return chunks
-  const size = Math.max(200, chunkSize)
-  const ov = Math.max(0, Math.min(overlap, Math.floor(size * 0.8)))
-  let start = 0
-  while (start < text.length) {
-    const end = Math.min(text.length, start + size)
-    const slice = text.slice(start, end)
-    chunks.push({ page, text: slice })
-    if (end >= text.length) break
-    start = end - ov
-  }
-  return chunks
-}
-
 async function embedBatch(inputs, host, model, apiKey, signal) {
   const url = new URL('/v1/embeddings', host).toString().replace('/v1/v1/', '/v1/')
   const res = await axios.post(
@@ -175,6 +203,805 @@ async function embedBatch(inputs, host, model, apiKey, signal) {
   return res.data.data.map((d) => d.embedding)
 }
 
+// Persistent workspace index
+// Stored per workspace root under userData/workspaces/<hash>/:
+//   index.json  - docs, chunk texts/norms and the settings used to build them
+//   vectors.bin - all chunk embeddings as consecutive Float32 rows (chunk.row)
+//   boxes.bin   - chunk item boxes as Float32 (see packBoxes); chunk.boxes is
+//                 [first box, box count] into it
+// vectors.bin always keeps full precision, so quantized in-memory blocks can
+// be rescored and re-packed from it. Boxes stay out of index.json: overlapping
+// chunks repeat them and they would outgrow the chunk text several times.
+//
+// Every save has a random generation id, kept in index.json and as the first
+// GENERATION_BYTES of each .bin file. All files are written to .tmp first and
+// renamed with index.json last, so a crash between the renames leaves files of
+// two saves, which the load refuses instead of reading rows from the wrong one.
+const INDEX_VERSION = 3
+const GENERATION_BYTES = 16
+
+function getIndexDir(root) {
+  const key = crypto.createHash('sha1').update(path.resolve(root)).digest('hex').slice(0, 16)
+  return path.join(app.getPath('userData'), 'workspaces', key)
+}
+
+// Chunk boxes are kept flat in a Float32Array, BOX_FIELDS values per box:
+// page, itemIndex, x, y, width, height (the tuples of chunking.js)
+const BOX_FIELDS = 6
+
+function packBoxes(boxes) {
+  return Float32Array.from((boxes || []).flat())
+}
+
+function expandBoxes(boxes) {
+  // Float32 turns 157.3 into 157.3000030517578
+  const round = (n) => Math.round(n * 100) / 100
+  const out = []
+  for (let i = 0; i + BOX_FIELDS <= boxes.length; i += BOX_FIELDS) {
+    out.push({ page: boxes[i], index: boxes[i + 1], x: round(boxes[i + 2]), y: round(boxes[i + 3]), width: round(boxes[i + 4]), height: round(boxes[i + 5]) })
+  }
+  return out
+}
+
+// files: [[name, data]], renamed in this order once all are written
+function writeIndexFiles(dir, files) {
+  for (const [name, data] of files) fs.writeFileSync(path.join(dir, `${name}.tmp`), data)
+  for (const [name] of files) fs.renameSync(path.join(dir, `${name}.tmp`), path.join(dir, name))
+}
+
+function withGeneration(generation, ...parts) {
+  return Buffer.concat([Buffer.from(generation, 'hex'), ...parts])
+}
+
+// Contents after the generation header, or null for a file of another save
+function readGenerationFile(filePath, generation) {
+  if (!generation || !fs.existsSync(filePath)) return null
+  const buf = fs.readFileSync(filePath)
+  if (buf.length < GENERATION_BYTES || buf.subarray(0, GENERATION_BYTES).toString('hex') !== generation) return null
+  return buf.subarray(GENERATION_BYTES)
+}
+
+// Run fn with a read fd on the workspace's vectors.bin (null if there is none)
+function withVectorFile(fn) {
+  let fd = null
+  try {
+    const vectorsPath = workspace.root && path.join(getIndexDir(workspace.root), 'vectors.bin')
+    if (vectorsPath && fs.existsSync(vectorsPath)) fd = fs.openSync(vectorsPath, 'r')
+  } catch (e) {
+    console.warn('Failed to open vectors.bin:', e)
+  }
+  try {
+    return fn(fd)
+  } finally {
+    if (fd !== null) fs.closeSync(fd)
+  }
+}
+
+// Full-precision embedding of chunk i: from memory for unquantized blocks,
+// otherwise from vectors.bin (falls back to the dequantized row)
+function readFullRow(doc, i, fd) {
+  const block = doc.vectors
+  if (!hasRow(block, i)) return null
+  const fileRow = doc.fileRows ? doc.fileRows[i] : -1
+  if (block.quantization === 'none' || fd === null || fileRow < 0) return unpackRow(block, i)
+  const buf = Buffer.alloc(block.dim * 4)
+  fs.readSync(fd, buf, 0, buf.length, GENERATION_BYTES + fileRow * block.dim * 4)
+  return new Float32Array(buf.buffer, buf.byteOffset, block.dim)
+}
+
+// Re-pack every doc block with the configured quantization
+function applyVectorQuantization(docs) {
+  const mode = normalizeQuantization(workspace.settings.vectorQuantization)
+  withVectorFile((fd) => {
+    for (const doc of docs.values()) {
+      if (!doc.vectors || doc.vectors.quantization === mode) continue
+      doc.vectors = packVectors(doc.chunks.map((_, i) => readFullRow(doc, i, fd)), mode)
+    }
+  })
+}
+
+function saveWorkspaceIndex() {
+  if (!workspace.root) return null
+  const { chunkSize, chunkOverlap, embeddingHost, embeddingModel } = workspace.settings
+  const chunkStrategy = normalizeChunkStrategy(workspace.settings.chunkStrategy)
+  const chunkAcrossPages = !!workspace.settings.chunkAcrossPages
+  const chunkUnit = chunkTokenizer(workspace.settings) ? 'tokens' : 'chars'
+  const pdfLayout = workspace.settings.pdfLayout !== false
+
+  let dim = 0
+  let rowCount = 0
+  for (const doc of workspace.docs.values()) {
+    if (!doc.vectors) continue
+    dim = dim || doc.vectors.dim
+    if (doc.vectors.dim !== dim) continue
+    for (let i = 0; i < doc.chunks.length; i++) {
+      if (hasRow(doc.vectors, i)) rowCount++
+    }
+  }
+
+  // Rows of quantized docs are copied from the current vectors.bin before it is replaced
+  const vectors = new Float32Array(rowCount * dim)
+  const docs = []
+  const fileRows = new Map() // doc -> Int32Array of rows in the new vectors.bin
+  const boxParts = []
+  let boxCount = 0
+  withVectorFile((fd) => {
+    let row = 0
+    for (const doc of workspace.docs.values()) {
+      const rows = new Int32Array(doc.chunks.length).fill(-1)
+      const chunks = doc.chunks.map((c, i) => {
+        const v = doc.vectors && doc.vectors.dim === dim ? readFullRow(doc, i, fd) : null
+        if (v) {
+          vectors.set(v, row * dim)
+          rows[i] = row++
+        }
+        const boxRange = [boxCount, c.boxes.length / BOX_FIELDS]
+        boxParts.push(c.boxes)
+        boxCount += boxRange[1]
+        return { id: c.id, page: c.page, pageEnd: c.pageEnd, pageBreaks: c.pageBreaks, text: c.text, section: c.section || null, boxes: boxRange, norm: v ? doc.vectors.norms[i] : 0, row: rows[i] }
+      })
+      fileRows.set(doc, rows)
+      docs.push({
+        id: doc.id,
+        path: doc.path,
+        pages: doc.pages,
+        size: doc.size,
+        mtimeMs: doc.mtimeMs,
+        hash: doc.hash,
+        metadata: doc.metadata || null,
+        chunks,
+      })
+    }
+  })
+
+  const index = {
+    version: INDEX_VERSION,
+    generation: crypto.randomBytes(GENERATION_BYTES).toString('hex'),
+    root: workspace.root,
+    savedAt: Date.now(),
+    settings: { chunkSize, chunkOverlap, chunkStrategy, chunkAcrossPages, chunkUnit, pdfLayout, itemBoxes: true, tokenizerFamily: chunkTokenizer(workspace.settings)?.family || null, embeddingHost, embeddingModel, dim },
+    docs,
+    failedFiles: workspace.failedFiles,
+  }
+
+  const dir = getIndexDir(workspace.root)
+  fs.mkdirSync(dir, { recursive: true })
+  const boxes = new Float32Array(boxCount * BOX_FIELDS)
+  boxParts.reduce((offset, part) => {
+    boxes.set(part, offset)
+    return offset + part.length
+  }, 0)
+  const files = [
+    ['vectors.bin', withGeneration(index.generation, Buffer.from(vectors.buffer, vectors.byteOffset, vectors.byteLength))],
+    ['boxes.bin', withGeneration(index.generation, Buffer.from(boxes.buffer, boxes.byteOffset, boxes.byteLength))],
+  ]
+  // ann.bin: Int32 node count, Int32 vector row per node, then the HNSW graph
+  if (workspace.ann) {
+    const rows = Int32Array.from(workspace.ann.nodes, (n) => (isLiveAnnNode(n) ? fileRows.get(n.doc)[n.row] : -1))
+    const header = Int32Array.of(rows.length)
+    files.push(['ann.bin', withGeneration(
+      index.generation,
+      Buffer.from(header.buffer),
+      Buffer.from(rows.buffer, rows.byteOffset, rows.byteLength),
+      workspace.ann.index.toBuffer(),
+    )])
+  } else {
+    fs.rmSync(path.join(dir, 'ann.bin'), { force: true })
+  }
+  files.push(['index.json', JSON.stringify(index)])
+  writeIndexFiles(dir, files)
+  for (const [doc, rows] of fileRows) doc.fileRows = rows
+  return { savedAt: index.savedAt, settings: index.settings }
+}
+
+function readFloat32File(filePath, generation) {
+  let buf = readGenerationFile(filePath, generation)
+  if (!buf) return null
+  // Small reads may come from Node's shared pool at an offset Float32Array can't view
+  if (buf.byteOffset % 4 !== 0) buf = Buffer.from(buf)
+  return new Float32Array(buf.buffer, buf.byteOffset, Math.floor(buf.byteLength / 4))
+}
+
+function loadWorkspaceIndex(root) {
+  const dir = getIndexDir(root)
+  const indexPath = path.join(dir, 'index.json')
+  const vectorsPath = path.join(dir, 'vectors.bin')
+  if (!fs.existsSync(indexPath) || !fs.existsSync(vectorsPath)) return null
+
+  let index
+  try {
+    index = JSON.parse(fs.readFileSync(indexPath, 'utf-8'))
+  } catch (e) {
+    console.warn('Failed to read workspace index:', e)
+    return null
+  }
+  if (index.version !== INDEX_VERSION || path.resolve(index.root) !== path.resolve(root)) return null
+
+  const vectors = readFloat32File(vectorsPath, index.generation)
+  const boxes = readFloat32File(path.join(dir, 'boxes.bin'), index.generation)
+  if (!vectors || !boxes) {
+    console.warn('Workspace index files are from different saves; rebuilding the index')
+    return null
+  }
+  const dim = index.settings?.dim || 0
+  const quantization = normalizeQuantization(workspace.settings.vectorQuantization)
+
+  const docs = new Map()
+  const rowNodes = new Map() // vector row -> { doc, row }, to reattach ANN nodes
+  for (const doc of index.docs || []) {
+    // Files deleted since the last run are dropped; new files are left for preprocess
+    if (!fs.existsSync(doc.path)) continue
+    const fileRows = Int32Array.from(doc.chunks, (c) => (
+      c.row >= 0 && dim > 0 && (c.row + 1) * dim <= vectors.length ? c.row : -1
+    ))
+    const loadedDoc = {
+      id: doc.id,
+      path: doc.path,
+      pages: doc.pages,
+      size: doc.size,
+      mtimeMs: doc.mtimeMs,
+      hash: doc.hash,
+      metadata: doc.metadata || null,
+      chunks: doc.chunks.map((c) => ({
+        id: c.id,
+        page: c.page,
+        pageEnd: c.pageEnd || c.page,
+        pageBreaks: c.pageBreaks || [],
+        text: c.text,
+        section: c.section || null,
+        boxes: boxes.subarray(c.boxes[0] * BOX_FIELDS, (c.boxes[0] + c.boxes[1]) * BOX_FIELDS),
+      })),
+      vectors: packVectors(Array.from(fileRows, (r) => (r >= 0 ? vectors.subarray(r * dim, (r + 1) * dim) : null)), quantization),
+      fileRows,
+    }
+    fileRows.forEach((r, i) => {
+      if (r >= 0) rowNodes.set(r, { doc: loadedDoc, row: i })
+    })
+    docs.set(doc.id, loadedDoc)
+  }
+
+  let ann = null
+  const annPath = path.join(dir, 'ann.bin')
+  if (fs.existsSync(annPath)) {
+    try {
+      const annBuf = readGenerationFile(annPath, index.generation)
+      if (!annBuf) throw new Error('ann.bin is from a different save')
+      const count = annBuf.readInt32LE(0)
+      const nodes = []
+      for (let i = 0; i < count; i++) {
+        // Nodes of dropped files stay in the graph as dead ends and are skipped at query time
+        nodes.push(rowNodes.get(annBuf.readInt32LE(4 + i * 4)) || { doc: null, row: -1 })
+      }
+      ann = createAnnIndex(nodes, annBuf.subarray(4 + count * 4))
+    } catch (e) {
+      console.warn('Failed to load ANN index:', e)
+    }
+  }
+  const failedFiles = (index.failedFiles || []).filter((f) => fs.existsSync(f.path))
+  return { docs, ann, failedFiles, info: { savedAt: index.savedAt, settings: index.settings } }
+}
+
+// Approximate nearest-neighbour index
+// Only worth it for large workspaces; filtered searches always use the exact scan.
+const ANN_RECALL_K = 10
+
+function createAnnIndex(nodes, graphBuffer = null) {
+  const accessors = {
+    getVector: (id) => (nodes[id].doc ? unpackRow(nodes[id].doc.vectors, nodes[id].row) : null),
+    getNorm: (id) => (nodes[id].doc?.vectors ? nodes[id].doc.vectors.norms[nodes[id].row] : 0),
+  }
+  const index = graphBuffer
+    ? HnswIndex.fromBuffer(graphBuffer, accessors)
+    : new HnswIndex({ ...accessors, M: 16, efConstruction: 100 })
+  return { index, nodes }
+}
+
+function countChunks(docs) {
+  let n = 0
+  for (const doc of docs.values()) n += doc.chunks.length
+  return n
+}
+
+function shouldUseAnn(docs) {
+  const { annEnabled, annMinChunks } = workspace.settings
+  return !!annEnabled && countChunks(docs) >= (Number(annMinChunks) || 0)
+}
+
+// Rebuild from scratch once this share of the graph's nodes are dead ends
+// (removed or re-indexed files), since they only cost memory and recall
+const ANN_MAX_DEAD_FRACTION = 0.25
+
+// Adds the rows of docs that have no node yet to base (in place), or builds a
+// new graph when there is no base or too much of it is dead. Nodes added by a
+// cancelled run stay behind as dead ends, like those of removed files.
+async function buildAnnIndex(docs, onProgress, isCancelled, base = null) {
+  const indexed = new Map() // doc -> Set of rows with a live node
+  let dead = 0
+  for (const node of base?.nodes || []) {
+    if (!node.doc || docs.get(node.doc.id) !== node.doc) {
+      dead++
+      continue
+    }
+    if (!indexed.has(node.doc)) indexed.set(node.doc, new Set())
+    indexed.get(node.doc).add(node.row)
+  }
+  const all = []
+  const fresh = []
+  for (const doc of docs.values()) {
+    for (let row = 0; row < doc.chunks.length; row++) {
+      if (!hasRow(doc.vectors, row)) continue
+      all.push({ doc, row })
+      if (!indexed.get(doc)?.has(row)) fresh.push({ doc, row })
+    }
+  }
+  const reuse = base && dead <= ANN_MAX_DEAD_FRACTION * (base.nodes.length + fresh.length)
+  const ann = reuse ? base : createAnnIndex([])
+  const toAdd = reuse ? fresh : all
+  for (let i = 0; i < toAdd.length; i++) {
+    ann.nodes.push(toAdd[i])
+    ann.index.add()
+    // Yield regularly so IPC stays responsive during large builds
+    if ((i + 1) % 500 === 0 || i === toAdd.length - 1) {
+      if (isCancelled()) throw new Error('CANCELLED')
+      onProgress(i + 1, toAdd.length)
+      await new Promise((resolve) => setImmediate(resolve))
+    }
+  }
+  return ann
+}
+
+// Quantized blocks only shortlist candidates; this many per requested hit are
+// rescored against the full-precision rows on disk
+const RESCORE_FACTOR = 4
+
+function candidateLimit(doc, perDocN) {
+  return doc.vectors && doc.vectors.quantization !== 'none' ? perDocN * RESCORE_FACTOR : perDocN
+}
+
+// Rescore quantized candidates ({ doc, row, score }) and keep the best perDocN per doc
+function finalizeCandidates(candidatesByDoc, qEmb, qNorm, perDocN) {
+  const needsRescore = [...candidatesByDoc.values()].some((list) => list[0]?.doc.vectors.quantization !== 'none')
+  if (needsRescore && qNorm) {
+    withVectorFile((fd) => {
+      for (const list of candidatesByDoc.values()) {
+        for (const c of list) {
+          if (c.doc.vectors.quantization === 'none') continue
+          const v = readFullRow(c.doc, c.row, fd)
+          if (v) c.score = dot(qEmb, v) / (qNorm * c.doc.vectors.norms[c.row])
+        }
+      }
+    })
+  }
+
+  const resultsByDoc = new Map() // docId -> [{ doc, row, score }]
+  for (const [docId, list] of candidatesByDoc) {
+    list.sort((a, b) => b.score - a.score)
+    resultsByDoc.set(docId, list.slice(0, perDocN))
+  }
+  return resultsByDoc
+}
+
+function toHit({ doc, row, score, ...scores }) {
+  const c = doc.chunks[row]
+  return { id: `${doc.id}::${c.id}`, score, page: c.page, pageEnd: c.pageEnd, pageBreaks: c.pageBreaks, section: c.section || null, text: c.text, boxes: expandBoxes(c.boxes), ...scores }
+}
+
+// Top candidates of one document by exact cosine
+function scanDoc(doc, qEmb, qNorm, perDocN, chunkFilter = null) {
+  const docResults = []
+  for (let row = 0; row < doc.chunks.length; row++) {
+    if (!hasRow(doc.vectors, row)) continue
+    if (chunkFilter && !chunkFilter(doc, row)) continue
+    docResults.push({ doc, row, score: cosineRow(doc.vectors, row, qEmb, qNorm) })
+  }
+  docResults.sort((a, b) => b.score - a.score)
+  return docResults.slice(0, candidateLimit(doc, perDocN))
+}
+
+// Dense vector similarity search across all or filtered chunks
+function exactSearchByDoc(qEmb, qNorm, perDocN, documentFilter, chunkFilter = null) {
+  const candidatesByDoc = new Map()
+  for (const doc of workspace.docs.values()) {
+    // Skip documents not in filter if specified
+    if (documentFilter && !documentFilter.includes(doc.id)) continue
+    const docResults = scanDoc(doc, qEmb, qNorm, perDocN, chunkFilter)
+    if (docResults.length > 0) candidatesByDoc.set(doc.id, docResults)
+  }
+  return finalizeCandidates(candidatesByDoc, qEmb, qNorm, perDocN)
+}
+
+// Same shape as exactSearchByDoc, from a global ANN candidate list. The graph
+// only finds the globally closest chunks, so with everyDoc (per-document
+// results) documents it left short of perDocN hits are scanned exactly.
+function annSearchByDoc(qEmb, qNorm, perDocN, { everyDoc = false } = {}) {
+  const candidatesByDoc = new Map()
+  const k = Math.max(100, perDocN * 20)
+  const ef = Math.max(k, Number(workspace.settings.annEfSearch) || 64)
+  for (const { id, score } of workspace.ann.index.search(qEmb, qNorm, k, ef)) {
+    const node = workspace.ann.nodes[id]
+    if (!isLiveAnnNode(node)) continue
+    const docHits = candidatesByDoc.get(node.doc.id) || []
+    if (docHits.length >= candidateLimit(node.doc, perDocN)) continue
+    docHits.push({ doc: node.doc, row: node.row, score })
+    candidatesByDoc.set(node.doc.id, docHits)
+  }
+  if (everyDoc) {
+    for (const doc of workspace.docs.values()) {
+      const found = candidatesByDoc.get(doc.id)?.length || 0
+      if (found >= Math.min(perDocN, doc.chunks.length)) continue
+      const docResults = scanDoc(doc, qEmb, qNorm, perDocN)
+      if (docResults.length > 0) candidatesByDoc.set(doc.id, docResults)
+    }
+  }
+  return finalizeCandidates(candidatesByDoc, qEmb, qNorm, perDocN)
+}
+
+// Lexical / hybrid retrieval
+const HYBRID_DEPTH = 4 // candidates per requested hit taken from each list before fusion
+
+function ensureLexicalIndex() {
+  if (!workspace.lexical) workspace.lexical = buildLexicalIndex(workspace.docs)
+  return workspace.lexical
+}
+
+function lexicalSearchByDoc(query, perDocN, documentFilter, chunkFilter = null) {
+  const resultsByDoc = new Map()
+  for (const hit of searchLexicalIndex(ensureLexicalIndex(), query, documentFilter)) {
+    if (workspace.docs.get(hit.doc.id) !== hit.doc) continue
+    if (chunkFilter && !chunkFilter(hit.doc, hit.row)) continue
+    const docHits = resultsByDoc.get(hit.doc.id) || []
+    if (docHits.length >= perDocN) continue
+    docHits.push(hit)
+    resultsByDoc.set(hit.doc.id, docHits)
+  }
+  return resultsByDoc
+}
+
+function isLiveAnnNode(node) {
+  return !!node.doc && workspace.docs.get(node.doc.id) === node.doc
+}
+
+// Compare ANN top-k against the exact scan for a sample of stored chunks used as queries
+async function measureAnnRecall(ann, sampleSize = 20, k = ANN_RECALL_K) {
+  const live = []
+  for (let i = 0; i < ann.nodes.length; i++) {
+    const { doc, row } = ann.nodes[i]
+    if (doc && hasRow(doc.vectors, row)) live.push(i)
+  }
+  if (live.length <= k) return { recall: 1, k, sample: 0, nodes: ann.nodes.length }
+
+  const ef = Math.max(k, Number(workspace.settings.annEfSearch) || 64)
+  const step = Math.max(1, Math.floor(live.length / sampleSize))
+  let found = 0
+  let expected = 0
+  let sample = 0
+  for (let s = 0; s < live.length && sample < sampleSize; s += step) {
+    const queryId = live[s]
+    const { doc: qDoc, row: qRow } = ann.nodes[queryId]
+    const q = unpackRow(qDoc.vectors, qRow)
+    const qNorm = qDoc.vectors.norms[qRow]
+    const exact = live
+      .filter((id) => id !== queryId)
+      .map((id) => ({ id, score: cosineRow(ann.nodes[id].doc.vectors, ann.nodes[id].row, q, qNorm) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k)
+    const approx = new Set(ann.index.search(q, qNorm, k + 1, ef).map((r) => r.id).filter((id) => id !== queryId).slice(0, k))
+    found += exact.filter((r) => approx.has(r.id)).length
+    expected += exact.length
+    sample++
+    await new Promise((resolve) => setImmediate(resolve))
+  }
+  return { recall: expected ? found / expected : 1, k, sample, nodes: ann.nodes.length }
+}
+
+// Incremental indexing
+function hashFile(filePath) {
+  return crypto.createHash('sha1').update(fs.readFileSync(filePath)).digest('hex')
+}
+
+// Tokenizer for token-based chunk budgets, or null when chunks are sized in characters
+function chunkTokenizer(settings) {
+  if (settings.chunkUnit !== 'tokens') return null
+  return createTokenizer(detectTokenizerFamily(settings.embeddingModel, settings.tokenizerFamily))
+}
+
+function isIndexCompatible(indexSettings, settings) {
+  if (!indexSettings) return false
+  return indexSettings.chunkSize === settings.chunkSize &&
+    indexSettings.chunkOverlap === settings.chunkOverlap &&
+    normalizeChunkStrategy(indexSettings.chunkStrategy) === normalizeChunkStrategy(settings.chunkStrategy) &&
+    !!indexSettings.chunkAcrossPages === !!settings.chunkAcrossPages &&
+    (indexSettings.tokenizerFamily || null) === (chunkTokenizer(settings)?.family || null) &&
+    !!indexSettings.pdfLayout === (settings.pdfLayout !== false) &&
+    // Indexes from before chunks kept their item boxes are rebuilt once
+    !!indexSettings.itemBoxes &&
+    indexSettings.embeddingHost === settings.embeddingHost &&
+    indexSettings.embeddingModel === settings.embeddingModel
+}
+
+// Classify files against the indexed docs. Size+mtime is the fast path; only
+// files whose stat changed get hashed, so a touched-but-identical file stays unchanged.
+// Files that failed before and haven't changed since are skipped (failures: path -> record).
+function diffWorkspaceFiles(files, docs, rebuild = false, failures = new Map()) {
+  const added = []
+  const updated = []
+  const unchanged = []
+  const skipped = []
+  const fileSet = new Set(files)
+  const removed = [...docs.keys()].filter((id) => !fileSet.has(id))
+
+  for (const filePath of files) {
+    let stat
+    try {
+      stat = fs.statSync(filePath)
+    } catch {
+      continue // Vanished since the folder was scanned
+    }
+    const info = { filePath, size: stat.size, mtimeMs: stat.mtimeMs }
+    const doc = docs.get(filePath)
+    if (!doc) {
+      const failure = failures.get(filePath)
+      if (failure && failure.size === info.size && failure.mtimeMs === info.mtimeMs) skipped.push(failure)
+      else added.push(info)
+      continue
+    }
+    if (rebuild) {
+      updated.push(info)
+      continue
+    }
+    if (doc.size === info.size && doc.mtimeMs === info.mtimeMs) {
+      unchanged.push(info)
+      continue
+    }
+    info.hash = hashFile(filePath)
+    if (doc.hash && doc.hash === info.hash) {
+      doc.size = info.size
+      doc.mtimeMs = info.mtimeMs
+      unchanged.push(info)
+    } else {
+      updated.push(info)
+    }
+  }
+
+  return { added, updated, removed, unchanged, skipped }
+}
+
+// Why a file could not be indexed, from the worker's pdf.js error
+function classifyExtractError(e) {
+  if (e?.message === 'TIMEOUT') return 'timeout'
+  if (e?.name === 'PasswordException') return 'encrypted'
+  if (['InvalidPDFException', 'FormatError', 'MissingPDFException'].includes(e?.name) || /invalid pdf/i.test(e?.message || '')) return 'corrupt'
+  if (['ENOENT', 'EACCES', 'EPERM', 'EBUSY'].includes(e?.code)) return 'unreadable'
+  return 'error'
+}
+
+// Workspace folder watching
+// fs.watch events are noisy (several per save, none for files inside moved
+// folders), so every event just schedules a debounced rescan of the root.
+const WATCH_DEBOUNCE_MS = 1500
+const WATCH_SETTLE_MS = 2000
+const WATCH_MAX_SETTLE_CHECKS = 30 // then wait for the next event on that file
+
+function startWorkspaceWatcher(root, sender) {
+  stopWorkspaceWatcher()
+  let watcher
+  try {
+    watcher = fs.watch(root, { recursive: true }, (_eventType, filename) => {
+      if (!workspaceWatcher || workspaceWatcher.watcher !== watcher) return
+      if (filename) {
+        const full = path.join(root, filename.toString())
+        workspaceWatcher.touched.add(full)
+        workspaceWatcher.waitCounts.delete(full)
+      }
+      scheduleWorkspaceReconcile(WATCH_DEBOUNCE_MS)
+    })
+  } catch (e) {
+    console.warn('Failed to watch workspace:', e)
+    return
+  }
+  watcher.on('error', (e) => console.warn('Workspace watcher error:', e))
+  workspaceWatcher = { root, watcher, sender, timer: null, touched: new Set(), waitCounts: new Map() }
+}
+
+function stopWorkspaceWatcher() {
+  if (!workspaceWatcher) return
+  clearTimeout(workspaceWatcher.timer)
+  try { workspaceWatcher.watcher.close() } catch {}
+  workspaceWatcher = null
+}
+
+function scheduleWorkspaceReconcile(delay) {
+  if (!workspaceWatcher) return
+  clearTimeout(workspaceWatcher.timer)
+  workspaceWatcher.timer = setTimeout(() => {
+    try {
+      reconcileWorkspaceFiles()
+    } catch (e) {
+      console.warn('Failed to apply workspace changes:', e)
+    }
+  }, delay)
+}
+
+// A file still being copied or downloaded keeps changing; PDFs must also
+// carry their %%EOF trailer before they are worth extracting.
+function isFileSettled(filePath) {
+  let stat
+  try {
+    stat = fs.statSync(filePath)
+  } catch {
+    return false
+  }
+  if (stat.size === 0 || Date.now() - stat.mtimeMs < WATCH_SETTLE_MS) return false
+  if (path.extname(filePath).toLowerCase() !== '.pdf') return true
+  const length = Math.min(1024, stat.size)
+  const tail = Buffer.alloc(length)
+  const fd = fs.openSync(filePath, 'r')
+  try {
+    fs.readSync(fd, tail, 0, length, stat.size - length)
+  } finally {
+    fs.closeSync(fd)
+  }
+  return tail.includes('%%EOF')
+}
+
+function reconcileWorkspaceFiles() {
+  if (!workspaceWatcher || workspace.root !== workspaceWatcher.root) return
+  const { root, sender } = workspaceWatcher
+  const touched = workspaceWatcher.touched
+  workspaceWatcher.touched = new Set()
+
+  const current = walkDir(root).filter((f) => path.extname(f).toLowerCase() === '.pdf')
+  const currentSet = new Set(current)
+  const known = new Set(workspace.includeFiles)
+
+  const removed = workspace.includeFiles.filter((f) => !currentSet.has(f))
+  const added = []
+  const waiting = []
+  for (const f of current) {
+    if (known.has(f)) continue
+    if (isFileSettled(f)) added.push(f)
+    else waiting.push(f)
+  }
+
+  // Edits to known files only need to settle; the incremental diff picks them up
+  let editsReady = false
+  for (const f of touched) {
+    if (!known.has(f) || !currentSet.has(f)) continue
+    if (isFileSettled(f)) editsReady = true
+    else waiting.push(f)
+  }
+
+  // A removed file whose size and hash reappear under a new name was renamed:
+  // carry its chunks and embeddings over instead of re-embedding
+  const renamed = []
+  if (!currentPreprocess?.running) {
+    for (const from of removed) {
+      const doc = workspace.docs.get(from)
+      if (!doc?.hash) continue
+      const to = added.find((f) => {
+        if (renamed.some((r) => r.to === f)) return false
+        try {
+          return fs.statSync(f).size === doc.size && hashFile(f) === doc.hash
+        } catch {
+          return false
+        }
+      })
+      if (!to) continue
+      workspace.docs.delete(from)
+      doc.id = to
+      doc.path = to
+      doc.mtimeMs = fs.statSync(to).mtimeMs
+      workspace.docs.set(to, doc)
+      renamed.push({ from, to })
+    }
+  }
+  const renamedFrom = new Set(renamed.map((r) => r.from))
+  const renamedTo = new Set(renamed.map((r) => r.to))
+
+  let recheck = false
+  for (const f of waiting) {
+    const count = (workspaceWatcher.waitCounts.get(f) || 0) + 1
+    workspaceWatcher.waitCounts.set(f, count)
+    if (count > WATCH_MAX_SETTLE_CHECKS) continue
+    workspaceWatcher.touched.add(f)
+    recheck = true
+  }
+  for (const f of added) workspaceWatcher.waitCounts.delete(f)
+  if (recheck) scheduleWorkspaceReconcile(WATCH_SETTLE_MS)
+  if (added.length === 0 && removed.length === 0 && !editsReady) return
+
+  const removedSet = new Set(removed)
+  workspace.includeFiles = [...workspace.includeFiles.filter((f) => !removedSet.has(f)), ...added]
+  try {
+    sender.send('workspace-files-changed', {
+      files: workspace.includeFiles,
+      added: added.filter((f) => !renamedTo.has(f)),
+      removed: removed.filter((f) => !renamedFrom.has(f)),
+      renamed,
+    })
+  } catch {}
+
+  // Only keep an existing index in sync; the first build stays a user action
+  if (workspace.docs.size > 0) queueBackgroundIndexing()
+}
+
+function queueBackgroundIndexing() {
+  if (!workspaceWatcher || !workspace.root) return
+  if (currentPreprocess?.running) {
+    pendingBackgroundIndex = true
+    return
+  }
+  const { embeddingHost, embeddingModel } = workspace.settings
+  if (!embeddingHost || !embeddingModel || !workspace.includeFiles.length) return
+  runPreprocess(workspaceWatcher.sender, { background: true }).catch((e) => {
+    console.warn('Background indexing failed:', e?.message || e)
+  })
+}
+
+function getIndexStatus() {
+  let chunkCount = 0
+  let vectorBytes = 0
+  let unembeddedChunks = 0 // left over from failed embedding batches
+  for (const doc of workspace.docs.values()) {
+    chunkCount += doc.chunks.length
+    vectorBytes += blockBytes(doc.vectors)
+    for (let row = 0; row < doc.chunks.length; row++) {
+      if (!hasRow(doc.vectors, row)) unembeddedChunks++
+    }
+  }
+  return {
+    docCount: workspace.docs.size,
+    chunkCount,
+    unembeddedChunks,
+    failedFiles: workspace.failedFiles,
+    vectorBytes,
+    quantization: normalizeQuantization(workspace.settings.vectorQuantization),
+    savedAt: workspace.index?.savedAt || null,
+    settings: workspace.index?.settings || null,
+  }
+}
+
+// embedBatch behind the RPM limiter, retrying transient failures with backoff
+function embedBatchWithRetry(inputs, host, model, apiKey, signal) {
+  return withRetry(async () => {
+    await embeddingLimiter.acquire(signal)
+    return embedBatch(inputs, host, model, apiKey, signal)
+  }, {
+    retries: Math.max(0, Number(workspace.settings.embedMaxRetries) || 0),
+    signal,
+    onRetry: (e, attempt, delay) => {
+      console.warn(`Embedding request failed (${e?.response?.status || e?.code || e?.message}), retry ${attempt} in ${Math.round(delay)}ms`)
+    },
+  })
+}
+
+function ensureEmbeddingCache() {
+  configureEmbeddingCache({ dir: path.join(app.getPath('userData'), 'embedding-cache') })
+}
+
+// Embed through the shared on-disk cache; only texts never seen with this
+// model/host go to /v1/embeddings. Returns the embeddings and the hit count.
+async function embedWithCache(inputs, host, model, apiKey, signal) {
+  ensureEmbeddingCache()
+  const keys = inputs.map((text) => embeddingCacheKey(model, host, text))
+  const cached = getCachedEmbeddings(keys)
+  const embeddings = cached.map((v) => (v ? Array.from(v) : null))
+  const missing = []
+  for (let i = 0; i < inputs.length; i++) {
+    if (!embeddings[i]) missing.push(i)
+  }
+  if (missing.length > 0) {
+    const fresh = await embedBatchWithRetry(missing.map((i) => inputs[i]), host, model, apiKey, signal)
+    missing.forEach((idx, j) => { embeddings[idx] = fresh[j] })
+    try {
+      putCachedEmbeddings(missing.map((i) => keys[i]), fresh)
+    } catch (e) {
+      console.warn('Failed to write embedding cache:', e)
+    }
+  }
+  return { embeddings, cacheHits: inputs.length - missing.length }
+}
+
 function dot(a, b) {
   let s = 0
   for (let i = 0; i < a.length; i++) s += a[i] * b[i]
@@ -247,11 +1074,147 @@ Classify if this section DIRECTLY addresses the query (not just mentions it).`
   }
 }
 
+// LLM query expansion: paraphrases, synonyms and a hypothetical answer passage
+// (HyDE) searched alongside the original query. Cached per query and model.
+const QUERY_EXPANSION_CACHE_SIZE = 200
+const queryExpansionCache = new Map() // `${host}\n${model}\n${query}` -> expansion
+
+async function expandQueryWithLLM(query, host, model, apiKey, signal) {
+  const key = `${host}\n${model}\n${query}`
+  if (queryExpansionCache.has(key)) {
+    const cached = queryExpansionCache.get(key)
+    // Re-insert so the Map order stays least recently used first
+    queryExpansionCache.delete(key)
+    queryExpansionCache.set(key, cached)
+    return { ...cached, cached: true }
+  }
+
+  const systemPrompt = `You expand search queries for retrieving passages from academic papers.
+Return JSON with:
+- "paraphrases": 3 alternative phrasings of the query, in the query's language
+- "synonyms": up to 5 synonyms or closely related technical terms for its key concepts
+- "hypothetical": a short passage (2-4 sentences) as it might appear in a paper that answers the query
+
+Respond with JSON only: {"paraphrases": [...], "synonyms": [...], "hypothetical": "..."}`
+
+  const url = new URL('/v1/chat/completions', host).toString().replace('/v1/v1/', '/v1/')
+  const res = await withRetry(() => axios.post(
+    url,
+    {
+      model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: `Query: ${query}` }
+      ],
+      temperature: 0.3,
+      response_format: { type: 'json_object' }
+    },
+    {
+      timeout: 60000,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      signal,
+    }
+  ), { retries: 2, signal })
+
+  const content = res.data?.choices?.[0]?.message?.content
+  if (!content) throw new Error('Invalid LLM response')
+  let parsed
+  try {
+    parsed = JSON.parse(content)
+  } catch {
+    throw new Error('LLM 응답을 해석할 수 없습니다.')
+  }
+  const strings = (value, max) => (Array.isArray(value) ? value : [])
+    .map((v) => String(v || '').trim())
+    .filter((v) => v && v !== query)
+    .slice(0, max)
+  const expansion = {
+    query,
+    paraphrases: strings(parsed.paraphrases, 3),
+    synonyms: strings(parsed.synonyms, 5),
+    hypothetical: String(parsed.hypothetical || '').trim(),
+  }
+
+  queryExpansionCache.set(key, expansion)
+  if (queryExpansionCache.size > QUERY_EXPANSION_CACHE_SIZE) {
+    queryExpansionCache.delete(queryExpansionCache.keys().next().value)
+  }
+  return { ...expansion, cached: false }
+}
+
+// Reranking: relevance of one passage to the query on a 0-10 scale
+async function scoreChunkWithLLM(chunk, query, host, model, apiKey, signal) {
+  const systemPrompt = `You rate how well a passage from an academic paper answers a search query.
+Score from 0 (unrelated) to 10 (directly and completely answers the query).
+Respond with JSON only: {"score": <number>}`
+
+  const url = new URL('/v1/chat/completions', host).toString().replace('/v1/v1/', '/v1/')
+  const res = await axios.post(
+    url,
+    {
+      model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: `Query: ${query}\n\nPassage:\n${chunk}` }
+      ],
+      temperature: 0,
+      response_format: { type: 'json_object' }
+    },
+    {
+      timeout: 30000,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      signal,
+    }
+  )
+  const content = res.data?.choices?.[0]?.message?.content
+  if (!content) throw new Error('Invalid LLM response')
+  const score = Number(JSON.parse(content).score)
+  return Number.isFinite(score) ? Math.max(0, Math.min(10, score)) / 10 : 0
+}
+
+// Cohere/Jina/TEI-style /v1/rerank: { results: [{ index, relevance_score }] }
+async function rerankWithEndpoint(query, texts, host, model, apiKey, signal) {
+  const url = new URL('/v1/rerank', host).toString().replace('/v1/v1/', '/v1/')
+  const res = await axios.post(
+    url,
+    { model, query, documents: texts, top_n: texts.length },
+    {
+      timeout: 60000,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+      signal,
+    }
+  )
+  const results = res.data?.results
+  if (!Array.isArray(results)) throw new Error('Invalid rerank response')
+  const scores = new Array(texts.length).fill(null)
+  for (const r of results) {
+    if (r.index >= 0 && r.index < texts.length) scores[r.index] = Number(r.relevance_score ?? r.score) || 0
+  }
+  return scores
+}
+
 // Mode-specific search tracking
 const searchStates = {
   exhaustiveSearch: {
     multi: null,
     single: null
+  },
+  rerank: {
+    multi: null,
+    single: null
+  },
+  expandQuery: {
+    multi: null,
+    single: null
   }
 }
 
@@ -265,7 +1228,7 @@ ipcMain.handle('write-to-clipboard', (_, text) => {
   return true
 })
 
-ipcMain.handle('select-workspace', async () => {
+ipcMain.handle('select-workspace', async (event) => {
   const res = await dialog.showOpenDialog({ properties: ['openDirectory'] })
   if (res.canceled || res.filePaths.length === 0) return null
   const root = res.filePaths[0]
@@ -273,27 +1236,98 @@ ipcMain.handle('select-workspace', async () => {
   const pdfs = files.filter((f) => path.extname(f).toLowerCase() === '.pdf')
   workspace.root = root
   workspace.includeFiles = pdfs
-  return { root, files: pdfs }
+  workspace.docs.clear()
+  workspace.ann = null
+  workspace.index = null
+  workspace.failedFiles = []
+  workspace.lexical = null
+
+  // Restore the previously built index so the workspace is usable without re-embedding
+  try {
+    const loaded = loadWorkspaceIndex(root)
+    if (loaded) {
+      workspace.docs = loaded.docs
+      workspace.ann = loaded.ann
+      workspace.index = loaded.info
+      workspace.failedFiles = loaded.failedFiles
+    }
+  } catch (e) {
+    console.warn('Failed to load workspace index:', e)
+  }
+
+  startWorkspaceWatcher(root, event.sender)
+
+  return { root, files: pdfs, index: workspace.docs.size > 0 ? getIndexStatus() : null }
+})
+
+// Search history lives next to the workspace index (see searchHistory.js)
+function historyDir() {
+  if (!workspace.root) throw new Error('워크스페이스를 먼저 선택해주세요.')
+  return getIndexDir(workspace.root)
+}
+
+ipcMain.handle('get-search-history', () => {
+  return workspace.root ? loadSearchHistory(getIndexDir(workspace.root)) : []
+})
+
+ipcMain.handle('record-search', (_, search) => addSearchHistory(historyDir(), search || {}))
+
+ipcMain.handle('update-search-history', (_, { id, ...patch }) => updateSearchHistory(historyDir(), id, patch))
+
+ipcMain.handle('delete-search-history', (_, { id }) => removeSearchHistory(historyDir(), id))
+
+ipcMain.handle('clear-search-history', () => clearSearchHistory(historyDir()))
+
+ipcMain.handle('get-index-status', () => {
+  return getIndexStatus()
 })
 
 ipcMain.handle('set-settings', (_, settings) => {
+  const prevQuantization = normalizeQuantization(workspace.settings.vectorQuantization)
   workspace.settings = { ...workspace.settings, ...settings }
+  if (normalizeQuantization(workspace.settings.vectorQuantization) !== prevQuantization) {
+    applyVectorQuantization(workspace.docs)
+  }
+  const limitMB = Number(workspace.settings.embeddingCacheLimitMB)
+  if (Number.isFinite(limitMB) && limitMB >= 0) {
+    configureEmbeddingCache({ limitBytes: limitMB * 1024 * 1024 })
+  }
+  embeddingLimiter.rpm = Math.max(0, Number(workspace.settings.embedRpm) || 0)
   return workspace.settings
 })
 
+ipcMain.handle('get-embedding-cache-stats', () => {
+  ensureEmbeddingCache()
+  return getEmbeddingCacheStats()
+})
+
+ipcMain.handle('clear-embedding-cache', () => {
+  ensureEmbeddingCache()
+  clearEmbeddingCache()
+  return getEmbeddingCacheStats()
+})
+
 ipcMain.handle('set-include-files', (_, files) => {
   workspace.includeFiles = files
   return workspace.includeFiles
 })
 
 ipcMain.handle('reset-workspace', () => {
+  stopWorkspaceWatcher()
   workspace.root = null
   workspace.includeFiles = []
   workspace.docs.clear()
+  workspace.ann = null
+  workspace.index = null
+  workspace.failedFiles = []
+  workspace.lexical = null
   return true
 })
 
-ipcMain.handle('preprocess', async (event) => {
+// Extract, chunk and embed whatever changed since the last index. Also used for
+// background runs queued by the folder watcher, which tag their events.
+// Files that failed before are skipped until they change, unless retryFailed.
+async function runPreprocess(sender, { background = false, retryFailed = false } = {}) {
   if (!workspace.root || !workspace.includeFiles?.length) {
     throw new Error('워크스페이스 또는 포함 파일이 설정되지 않았습니다.')
   }
@@ -301,77 +1335,227 @@ ipcMain.handle('preprocess', async (event) => {
     throw new Error('이미 전처리 중입니다.')
   }
 
-  const { chunkSize, chunkOverlap, embeddingHost, embeddingModel, apiKey } = workspace.settings
+  const { chunkSize, chunkOverlap, chunkStrategy, chunkAcrossPages, embeddingHost, embeddingModel, apiKey } = workspace.settings
   if (!embeddingHost || !embeddingModel) throw new Error('임베딩 설정(Host/Model)을 입력해주세요.')
+  const tokenizer = chunkTokenizer(workspace.settings)
+  const pdfLayout = workspace.settings.pdfLayout !== false
 
   // Init token
   const controller = new AbortController()
-  currentPreprocess = { cancelled: false, controller, running: true }
-  const sender = event.sender
+  currentPreprocess = { cancelled: false, controller, running: true, pool: null }
 
   const send = (name, payload) => {
-    try { sender.send(name, payload) } catch {}
+    try { sender.send(name, background ? { ...payload, background } : payload) } catch {}
   }
 
   try {
-    // Clear previous
-    workspace.docs.clear()
+    // Diff against the previous index; changed chunking/embedding settings invalidate everything
+    const rebuild = workspace.docs.size > 0 && !isIndexCompatible(workspace.index?.settings, workspace.settings)
+    send('preprocess-progress', { phase: 'diff', current: 0, total: workspace.includeFiles.length })
+    const knownFailures = new Map(retryFailed ? [] : workspace.failedFiles.map((f) => [f.path, f]))
+    const diff = diffWorkspaceFiles(workspace.includeFiles, workspace.docs, rebuild, knownFailures)
+    const changes = {
+      added: diff.added.length,
+      updated: diff.updated.length,
+      removed: diff.removed.length,
+      unchanged: diff.unchanged.length,
+      skipped: diff.skipped.length,
+    }
+
+    // Work on a copy so a cancelled run leaves the previous index intact
+    const nextDocs = new Map(workspace.docs)
+    for (const id of diff.removed) nextDocs.delete(id)
+    for (const f of diff.updated) nextDocs.delete(f.filePath)
 
-    // Extract text and chunk
-    send('preprocess-progress', { phase: 'extract', current: 0, total: workspace.includeFiles.length })
     let globalChunkId = 0
+    for (const doc of nextDocs.values()) {
+      for (const c of doc.chunks) globalChunkId = Math.max(globalChunkId, (parseInt(c.id, 10) || 0) + 1)
+    }
+
+    // Extract text and chunk (new and changed files only). PDFs are parsed in
+    // the worker pool concurrently; a file that fails is recorded with a reason
+    // and skipped without stopping the rest.
+    const toExtract = [...diff.added, ...diff.updated]
+    send('preprocess-progress', { phase: 'extract', current: 0, total: toExtract.length, changes })
     let fileIndex = 0
-    for (const filePath of workspace.includeFiles) {
-      if (currentPreprocess.cancelled || controller.signal.aborted) throw new Error('CANCELLED')
+    const failedFiles = [...diff.skipped]
+    const recordFailure = (file, reason, message) => {
+      failedFiles.push({ path: file.filePath, reason, message, size: file.size, mtimeMs: file.mtimeMs })
+    }
+    const timeoutSec = Number(workspace.settings.extractTimeoutSec) || 120
+    const pool = new ExtractionPool({ timeoutMs: timeoutSec * 1000 })
+    currentPreprocess.pool = pool
+    const extractFile = async (file) => {
+      const filePath = file.filePath
       const id = filePath
       const ext = path.extname(filePath).toLowerCase()
       let pages = []
-      if (ext === '.pdf') {
-        pages = await loadPdfTextPages(filePath)
-      } else if (ext === '.txt' || ext === '.md') {
-        const txt = fs.readFileSync(filePath, 'utf-8')
-        pages = [txt]
-      } else {
+      let pageBoxes = null
+      let metadata = null
+      let hash
+      let chunks
+      let stage = 'extract'
+      try {
+        if (ext === '.pdf') {
+          const extracted = await pool.extract(filePath, { layout: pdfLayout })
+          pages = extracted.pages
+          pageBoxes = extracted.boxes
+          metadata = extracted.metadata
+        } else if (ext === '.txt' || ext === '.md') {
+          const txt = fs.readFileSync(filePath, 'utf-8')
+          pages = [txt]
+        } else {
+          return
+        }
+        // Scanned PDFs without a text layer have nothing to index
+        if (!pages.some((t) => t && t.trim())) {
+          recordFailure(file, 'no-text', pages.length ? '추출된 텍스트가 없습니다' : '페이지가 없습니다')
+          return
+        }
+        hash = file.hash || hashFile(filePath)
+        stage = 'chunk'
+        chunks = chunkDocument(pages, { strategy: chunkStrategy, chunkSize, chunkOverlap, acrossPages: !!chunkAcrossPages, tokenizer, pageBoxes })
+          .map((c) => ({ id: `${globalChunkId++}`, page: c.page, pageEnd: c.pageEnd, pageBreaks: c.pageBreaks, text: c.text, section: c.section, boxes: packBoxes(c.boxes) }))
+      } catch (e) {
+        if (currentPreprocess.cancelled || controller.signal.aborted) throw new Error('CANCELLED')
+        // Only extraction errors are classified; a chunking failure is a plain error
+        recordFailure(file, stage === 'extract' ? classifyExtractError(e) : 'error', e?.message || String(e))
+        console.warn(`Failed to ${stage} ${filePath}:`, e?.message || e)
+        return
+      } finally {
         fileIndex++
-        send('preprocess-progress', { phase: 'extract', current: fileIndex, total: workspace.includeFiles.length, file: filePath })
-        continue
+        send('preprocess-progress', { phase: 'extract', current: fileIndex, total: toExtract.length, file: filePath, failed: failedFiles.length - diff.skipped.length, changes })
       }
-      const chunks = []
-      pages.forEach((t, i) => {
-        const page = i + 1
-        const pageChunks = chunkPageText(t, page, chunkSize, chunkOverlap)
-        for (const pc of pageChunks) {
-          chunks.push({ id: `${globalChunkId++}`, page, text: pc.text, embedding: null, norm: 0 })
-        }
+      nextDocs.set(id, {
+        id,
+        path: filePath,
+        pages: pages.length,
+        size: file.size,
+        mtimeMs: file.mtimeMs,
+        hash,
+        metadata,
+        chunks,
+        vectors: null,
+        fileRows: null,
       })
-      workspace.docs.set(id, { id, path: filePath, pages: pages.length, chunks })
-      fileIndex++
-      send('preprocess-progress', { phase: 'extract', current: fileIndex, total: workspace.includeFiles.length, file: filePath })
     }
+    try {
+      await Promise.all(toExtract.map(extractFile))
+    } finally {
+      pool.destroy()
+    }
+    if (currentPreprocess.cancelled || controller.signal.aborted) throw new Error('CANCELLED')
 
-    // Build embeddings for all chunks
+    // Build embeddings for every chunk that doesn't have one yet. New vectors
+    // are held per doc until the doc is complete, then packed into its block.
     const allChunks = []
-    for (const doc of workspace.docs.values()) {
-      for (const c of doc.chunks) allChunks.push({ docId: doc.id, c })
+    const pendingByDoc = new Map() // docId -> { doc, remaining, embeddings: Map(row -> vector) }
+    for (const doc of nextDocs.values()) {
+      for (let row = 0; row < doc.chunks.length; row++) {
+        if (hasRow(doc.vectors, row)) continue
+        allChunks.push({ docId: doc.id, row })
+        const pending = pendingByDoc.get(doc.id) || { doc, remaining: 0, embeddings: new Map() }
+        pending.remaining++
+        pendingByDoc.set(doc.id, pending)
+      }
+    }
+    const inputs = allChunks.map(({ docId, row }) => nextDocs.get(docId).chunks[row].text)
+
+    // Chunks over the model's input limit would be cut by the embedding server
+    const maxTokens = maxInputTokens(embeddingModel, workspace.settings.embeddingMaxTokens)
+    let truncatedChunks = 0
+    const counter = tokenizer || createTokenizer(detectTokenizerFamily(embeddingModel, workspace.settings.tokenizerFamily))
+    if (maxTokens) {
+      for (const doc of nextDocs.values()) {
+        for (const c of doc.chunks) if (counter.count(c.text) > maxTokens) truncatedChunks++
+      }
+      if (truncatedChunks > 0) console.warn(`${truncatedChunks} chunks exceed ${embeddingModel}'s ${maxTokens}-token input limit`)
     }
-    const inputs = allChunks.map((x) => x.c.text)
 
-    send('preprocess-progress', { phase: 'embed', current: 0, total: inputs.length })
+    // Unquantized until saved, so vectors.bin gets full-precision rows
+    const packPending = (pending) => {
+      const { doc, embeddings } = pending
+      const rows = withVectorFile((fd) => doc.chunks.map((_, r) => embeddings.get(r) || readFullRow(doc, r, fd)))
+      nextDocs.set(doc.id, { ...doc, vectors: packVectors(rows, 'none') })
+      pendingByDoc.delete(doc.id)
+    }
+
+    // Batches run concurrently; one that still fails after its retries is
+    // recorded and skipped, its chunks stay unembedded for the next run
+    send('preprocess-progress', { phase: 'embed', current: 0, total: inputs.length, truncatedChunks, changes })
     const batchSize = 64
+    const batchStarts = []
+    for (let i = 0; i < inputs.length; i += batchSize) batchStarts.push(i)
     let processed = 0
-    for (let i = 0; i < inputs.length; i += batchSize) {
-      if (currentPreprocess.cancelled || controller.signal.aborted) throw new Error('CANCELLED')
-      const end = Math.min(inputs.length, i + batchSize)
-      const batchInputs = inputs.slice(i, end)
-      const embs = await embedBatch(batchInputs, embeddingHost, embeddingModel, apiKey, controller.signal)
-      for (let j = 0; j < embs.length; j++) {
-        const { docId, c } = allChunks[i + j]
-        c.embedding = embs[j]
-        c.norm = norm(c.embedding)
-        processed++
+    let cacheHits = 0
+    const failedBatches = [] // { start, count, error }
+    const isRunCancelled = () => currentPreprocess.cancelled || controller.signal.aborted
+    const embedNextBatch = async () => {
+      while (batchStarts.length > 0) {
+        if (isRunCancelled()) throw new Error('CANCELLED')
+        const i = batchStarts.shift()
+        const end = Math.min(inputs.length, i + batchSize)
+        let batch
+        try {
+          batch = await embedWithCache(inputs.slice(i, end), embeddingHost, embeddingModel, apiKey, controller.signal)
+        } catch (e) {
+          if (isRunCancelled() || isCancelled(e)) throw new Error('CANCELLED')
+          failedBatches.push({ start: i, count: end - i, error: e?.message || String(e) })
+          console.warn(`Embedding batch ${i}-${end} failed:`, e?.message || e)
+          send('preprocess-progress', { phase: 'embed', current: processed, total: inputs.length, cacheHits, failedBatches: failedBatches.length, truncatedChunks, changes })
+          continue
+        }
+        const embs = batch.embeddings
+        cacheHits += batch.cacheHits
+        for (let j = 0; j < embs.length; j++) {
+          const { docId, row } = allChunks[i + j]
+          const pending = pendingByDoc.get(docId)
+          pending.embeddings.set(row, embs[j])
+          processed++
+          if (--pending.remaining === 0) packPending(pending)
+        }
+        send('preprocess-progress', { phase: 'embed', current: processed, total: inputs.length, cacheHits, failedBatches: failedBatches.length, truncatedChunks, changes })
       }
-      send('preprocess-progress', { phase: 'embed', current: processed, total: inputs.length })
     }
+    const concurrency = Math.max(1, Math.min(Number(workspace.settings.embedConcurrency) || 1, batchStarts.length))
+    const runners = Array.from({ length: concurrency }, embedNextBatch)
+    const outcomes = await Promise.allSettled(runners)
+    const rejected = outcomes.find((o) => o.status === 'rejected')
+    if (rejected) throw rejected.reason
+    // Keep what succeeded for docs that lost a batch
+    for (const pending of [...pendingByDoc.values()]) {
+      if (pending.embeddings.size > 0) packPending(pending)
+    }
+    // Nothing got through at all: most likely a settings problem, so surface it
+    if (failedBatches.length > 0 && processed === 0) {
+      flushEmbeddingCache()
+      throw new Error(`임베딩 생성 실패: ${failedBatches[0].error}`)
+    }
+    flushEmbeddingCache()
+
+    // Extend the ANN graph with new rows when enabled; reuse it if nothing changed
+    let ann = null
+    let annRecall = null
+    if (shouldUseAnn(nextDocs)) {
+      const changed = changes.added + changes.updated + changes.removed + processed > 0
+      if (workspace.ann && !changed) {
+        ann = workspace.ann
+      } else {
+        send('preprocess-progress', { phase: 'index', current: 0, total: 0, changes })
+        ann = await buildAnnIndex(
+          nextDocs,
+          (current, total) => send('preprocess-progress', { phase: 'index', current, total, changes }),
+          () => currentPreprocess.cancelled || controller.signal.aborted,
+          workspace.ann
+        )
+        annRecall = await measureAnnRecall(ann)
+      }
+    }
+
+    workspace.docs = nextDocs
+    workspace.ann = ann
+    workspace.lexical = buildLexicalIndex(nextDocs)
+    workspace.failedFiles = failedFiles
 
     // Count total chunks for summary
     let totalChunks = 0
@@ -379,14 +1563,21 @@ ipcMain.handle('preprocess', async (event) => {
       totalChunks += doc.chunks.length
     }
 
-    const summary = { docCount: workspace.docs.size, chunkCount: totalChunks }
+    // Persist so the next session can skip extraction and embedding
+    try {
+      workspace.index = saveWorkspaceIndex()
+    } catch (e) {
+      console.warn('Failed to save workspace index:', e)
+    }
+    applyVectorQuantization(workspace.docs)
+
+    const summary = { docCount: workspace.docs.size, chunkCount: totalChunks, changes, failedFiles, failedChunks: inputs.length - processed, failedBatches, cacheHits, annRecall, truncatedChunks, maxInputTokens: maxTokens, tokenCountEstimated: counter.estimated }
     send('preprocess-complete', summary)
     return summary
   } catch (e) {
-    // Cleanup on cancel
+    // Cancelled runs keep whatever index was there before
     if (e && typeof e.message === 'string' && e.message === 'CANCELLED') {
-      workspace.docs.clear()
-      send('preprocess-cancelled', {})
+      send('preprocess-cancelled', { docCount: workspace.docs.size })
       throw new Error('전처리가 취소되었습니다.')
     }
     send('preprocess-error', { message: e?.message || String(e) })
@@ -394,69 +1585,501 @@ ipcMain.handle('preprocess', async (event) => {
   } finally {
     if (currentPreprocess) currentPreprocess.running = false
     currentPreprocess = null
+    if (pendingBackgroundIndex) {
+      pendingBackgroundIndex = false
+      setTimeout(() => queueBackgroundIndexing(), 0)
+    }
   }
+}
+
+ipcMain.handle('preprocess', async (event, options = {}) => {
+  return runPreprocess(event.sender, { retryFailed: !!options?.retryFailed })
 })
 
 ipcMain.handle('preprocess-cancel', () => {
   if (currentPreprocess?.running) {
     currentPreprocess.cancelled = true
     try { currentPreprocess.controller.abort() } catch {}
+    currentPreprocess.pool?.destroy()
     return true
   }
   return false
 })
 
-ipcMain.handle('search', async (_, { query, perDocN = 3, documentFilter = null }) => {
-  if (workspace.docs.size === 0) throw new Error('전처리가 완료되지 않았습니다.')
-  const { embeddingHost, embeddingModel, apiKey } = workspace.settings
-  
-  // Get query embedding
-  const [qEmb] = await embedBatch([query], embeddingHost, embeddingModel, apiKey)
-  const qNorm = norm(qEmb)
+// Candidates for one query: dense (exact scan or ANN), lexical, or both fused
+function searchOneQuery(query, qEmb, perDocN, { retrievalMode, documentFilter, chunkFilter, fusion, denseWeight, everyDoc }) {
+  const depth = retrievalMode === 'hybrid' ? perDocN * HYBRID_DEPTH : perDocN
+  let denseByDoc = null
+  if (qEmb) {
+    const qNorm = norm(qEmb)
+    // Large unfiltered workspaces go through the ANN graph instead of the full scan
+    const coversAllDocs = !documentFilter || [...workspace.docs.keys()].every((id) => documentFilter.includes(id))
+    denseByDoc = workspace.ann && coversAllDocs && !chunkFilter && shouldUseAnn(workspace.docs)
+      ? annSearchByDoc(qEmb, qNorm, depth, { everyDoc })
+      : exactSearchByDoc(qEmb, qNorm, depth, documentFilter, chunkFilter)
+  }
+  const lexicalByDoc = retrievalMode !== 'dense' ? lexicalSearchByDoc(query, depth, documentFilter, chunkFilter) : null
+  return retrievalMode === 'hybrid'
+    ? fuseByDoc(denseByDoc, lexicalByDoc, perDocN, { fusion, denseWeight })
+    : denseByDoc || lexicalByDoc
+}
 
-  // Dense vector similarity search across all or filtered chunks
-  const resultsByDoc = new Map() // docId -> [{id, score, page, text}]
-  
+// Relevance feedback (Rocchio): the query vector moves toward the chunks marked
+// relevant and away from those marked non-relevant. Every vector is
+// unit-normalized first so chunk norms don't skew the mix.
+const ROCCHIO_ALPHA = 1
+const ROCCHIO_BETA = 0.75
+const ROCCHIO_GAMMA = 0.15
+
+// Hit id (`${docId}::${chunkId}`, see toHit) -> { doc, row }
+function resolveHitId(id) {
+  const sep = String(id).lastIndexOf('::')
+  const doc = sep > 0 ? workspace.docs.get(id.slice(0, sep)) : null
+  const chunkId = id.slice(sep + 2)
+  const row = doc ? doc.chunks.findIndex((c) => c.id === chunkId) : -1
+  return row >= 0 ? { doc, row } : null
+}
+
+function chunkVectorsByIds(ids) {
+  return withVectorFile((fd) => ids
+    .map((id) => resolveHitId(id))
+    .map((hit) => hit && readFullRow(hit.doc, hit.row, fd))
+    .filter(Boolean))
+}
+
+function rocchioQuery(qEmb, positives, negatives) {
+  const out = new Float32Array(qEmb.length)
+  const addScaled = (v, weight) => {
+    const n = norm(v) || 1
+    for (let i = 0; i < out.length; i++) out[i] += (weight * v[i]) / n
+  }
+  addScaled(qEmb, ROCCHIO_ALPHA)
+  for (const v of positives) addScaled(v, ROCCHIO_BETA / positives.length)
+  for (const v of negatives) addScaled(v, -ROCCHIO_GAMMA / negatives.length)
+  return out
+}
+
+// "More like this": a hit's stored chunk embedding, or a text selection from
+// the viewer (embedded like a query). The source chunk is left out of the
+// results; for a selection that is every chunk on the page containing its start or end.
+function resolveSimilarSource({ hitId, text, docId, page }) {
+  if (hitId) {
+    const source = resolveHitId(hitId)
+    if (!source) throw new Error('원본 청크를 찾을 수 없습니다. 다시 검색해주세요.')
+    const vector = withVectorFile((fd) => readFullRow(source.doc, source.row, fd))
+    return { vector, excludeIds: [hitId] }
+  }
+  const compact = (s) => String(s || '').normalize('NFKC').replace(/\s+/g, '').toLowerCase()
+  const selection = compact(text)
+  const head = selection.slice(0, 40)
+  const tail = selection.slice(-40)
+  const doc = workspace.docs.get(docId)
+  const excludeIds = !doc || !selection ? [] : doc.chunks
+    .filter((c) => !page || Math.abs(c.page - page) <= 1)
+    .filter((c) => compact(c.text).includes(head) || compact(c.text).includes(tail))
+    .map((c) => `${doc.id}::${c.id}`)
+  return { vector: null, excludeIds }
+}
+
+// Document similarity ("related papers"): a document's vector is the mean of its
+// unit-normalized chunk embeddings. Vector blocks are replaced, never mutated,
+// so the cache follows re-embedding and re-quantization by itself.
+const RELATED_DOCS_LIMIT = 10
+const RELATED_PAIRS = 3 // chunk pairs per related document explaining the match
+const documentVectors = new WeakMap() // vector block -> Float32Array (unit length) or null
+
+function documentVector(doc) {
+  const block = doc.vectors
+  if (!block) return null
+  if (documentVectors.has(block)) return documentVectors.get(block)
+  let mean = null
+  for (let row = 0; row < doc.chunks.length; row++) {
+    if (!hasRow(block, row)) continue
+    const v = unpackRow(block, row)
+    if (!mean) mean = new Float32Array(block.dim)
+    for (let i = 0; i < block.dim; i++) mean[i] += v[i] / block.norms[row]
+  }
+  if (mean) {
+    const n = norm(mean) || 1
+    for (let i = 0; i < mean.length; i++) mean[i] /= n
+  }
+  documentVectors.set(block, mean)
+  return mean
+}
+
+// Best-matching chunk pairs between two documents, each chunk used at most once
+function matchingChunkPairs(source, target, limit) {
+  const pairs = []
+  for (let s = 0; s < source.chunks.length; s++) {
+    if (!hasRow(source.vectors, s)) continue
+    const v = unpackRow(source.vectors, s)
+    const vNorm = source.vectors.norms[s]
+    for (let t = 0; t < target.chunks.length; t++) {
+      if (!hasRow(target.vectors, t)) continue
+      pairs.push({ s, t, score: cosineRow(target.vectors, t, v, vNorm) })
+    }
+  }
+  pairs.sort((a, b) => b.score - a.score)
+  const usedSource = new Set()
+  const usedTarget = new Set()
+  const picked = []
+  for (const p of pairs) {
+    if (picked.length >= limit) break
+    if (usedSource.has(p.s) || usedTarget.has(p.t)) continue
+    usedSource.add(p.s)
+    usedTarget.add(p.t)
+    picked.push(p)
+  }
+  const toChunk = (doc, row) => {
+    const c = doc.chunks[row]
+    return { id: `${doc.id}::${c.id}`, page: c.page, pageEnd: c.pageEnd, pageBreaks: c.pageBreaks, section: c.section || null, text: c.text, boxes: expandBoxes(c.boxes) }
+  }
+  return picked.map((p) => ({ score: p.score, source: toChunk(source, p.s), target: toChunk(target, p.t) }))
+}
+
+// Keyword mode: every chunk matching the query (see keywordSearch.js) in page
+// order. The score is the number of matches; hits list the matched strings.
+// The scan stops after KEYWORD_MAX_HITS chunks and reports truncated.
+const KEYWORD_MAX_HITS = 2000
+
+function keywordSearchByDoc(query, documentFilter, chunkFilter) {
+  const ast = parseKeywordQuery(query)
+  const resultsByDoc = new Map()
+  let total = 0
+  let truncated = false
   for (const doc of workspace.docs.values()) {
-    // Skip documents not in filter if specified
+    if (truncated) break
     if (documentFilter && !documentFilter.includes(doc.id)) continue
-    const docResults = []
-    
-    for (const c of doc.chunks) {
-      // Calculate cosine similarity
-      const similarity = qNorm && c.norm ? dot(qEmb, c.embedding) / (qNorm * c.norm) : 0
-      
-      docResults.push({
-        id: `${doc.id}::${c.id}`,
-        score: similarity,
-        page: c.page,
-        text: c.text
+    const docHits = []
+    for (let row = 0; row < doc.chunks.length; row++) {
+      if (chunkFilter && !chunkFilter(doc, row)) continue
+      const spans = matchKeywordQuery(ast, doc.chunks[row].text)
+      if (!spans) continue
+      if (total === KEYWORD_MAX_HITS) {
+        truncated = true
+        break
+      }
+      docHits.push({ doc, row, score: spans.length, matches: [...new Set(spans.map((s) => s.text))] })
+      total++
+    }
+    if (docHits.length > 0) resultsByDoc.set(doc.id, docHits)
+  }
+  return { resultsByDoc, truncated }
+}
+
+// Structured search filters: { folders, pageFrom, pageTo, minScore, maxScore,
+// yearFrom, yearTo, tags }. Folder/year/tag narrow the document filter, the
+// page range is checked per chunk before ranking, the score range on final hits
+// (on their cosine / BM25 like the threshold cut, not on a fused score).
+// Year and tags come from PDF metadata; documents without it fail those filters.
+function resolveSearchFilters(documentFilter, filters) {
+  const f = filters || {}
+  const folders = (f.folders || []).filter(Boolean).map((d) => path.resolve(d) + path.sep)
+  const tags = (f.tags || []).map((t) => String(t).trim().toLowerCase()).filter(Boolean)
+  const yearFrom = Number(f.yearFrom) || null
+  const yearTo = Number(f.yearTo) || null
+  const pageFrom = Number(f.pageFrom) || null
+  const pageTo = Number(f.pageTo) || null
+
+  let docIds = documentFilter
+  if (folders.length > 0 || tags.length > 0 || yearFrom || yearTo) {
+    docIds = [...workspace.docs.values()]
+      .filter((doc) => !documentFilter || documentFilter.includes(doc.id))
+      .filter((doc) => folders.length === 0 || folders.some((dir) => doc.path.startsWith(dir)))
+      .filter((doc) => {
+        const year = doc.metadata?.year
+        if ((yearFrom || yearTo) && !year) return false
+        return (!yearFrom || year >= yearFrom) && (!yearTo || year <= yearTo)
+      })
+      .filter((doc) => {
+        if (tags.length === 0) return true
+        const docTags = (doc.metadata?.tags || []).map((t) => t.toLowerCase())
+        return tags.some((t) => docTags.includes(t))
       })
+      .map((doc) => doc.id)
+  }
+
+  const chunkFilter = pageFrom || pageTo
+    ? (doc, row) => {
+      const { page, pageEnd } = doc.chunks[row]
+      return (!pageFrom || pageEnd >= pageFrom) && (!pageTo || page <= pageTo)
     }
-    
-    // Sort by similarity score and keep top N per document
-    docResults.sort((a, b) => b.score - a.score)
-    if (docResults.length > 0) {
-      resultsByDoc.set(doc.id, docResults.slice(0, perDocN))
+    : null
+  const minScore = f.minScore != null && f.minScore !== '' ? Number(f.minScore) : -Infinity
+  const maxScore = f.maxScore != null && f.maxScore !== '' ? Number(f.maxScore) : Infinity
+  const inScoreRange = (hit) => {
+    const score = similarityScore(hit)
+    return score >= minScore && score <= maxScore
+  }
+  return { documentFilter: docIds, chunkFilter, inScoreRange }
+}
+
+// retrievalMode: 'dense' (embeddings), 'lexical' (BM25), 'hybrid' (both, fused)
+// or 'keyword' (boolean/phrase/regex matching, ignores queries and resultMode)
+// queries: several phrasings of one question, merged with queryFusion
+// resultMode: 'perDoc' | 'topK' | 'threshold' | 'mmr' (see selectResults)
+// filters: see resolveSearchFilters
+// feedback: { positive, negative } hit ids for Rocchio refinement of dense
+// queries; chunks marked negative are left out of the results
+// similarTo: { hitId } or { text, docId, page } for a dense "more like this"
+// search (see resolveSimilarSource); query carries the source text
+// Keyword results that hit KEYWORD_MAX_HITS carry truncated: true.
+ipcMain.handle('search', async (_, {
+  query,
+  queries = null,
+  perDocN = 3,
+  documentFilter = null,
+  retrievalMode = 'dense',
+  fusion = 'rrf',
+  denseWeight = 0.5,
+  queryFusion = 'rrf',
+  resultMode = 'perDoc',
+  topK = 20,
+  minScore = 0,
+  mmrLambda = 0.7,
+  filters = null,
+  feedback = null,
+  similarTo = null,
+}) => {
+  if (workspace.docs.size === 0) throw new Error('전처리가 완료되지 않았습니다.')
+  const similar = similarTo ? resolveSimilarSource(similarTo) : null
+  if (similar) retrievalMode = 'dense'
+  const subQueries = [...new Set((similar ? [query] : queries || [query]).map((q) => String(q || '').trim()).filter(Boolean))]
+  if (subQueries.length === 0) throw new Error('검색어를 입력해주세요.')
+  const { documentFilter: filteredDocs, chunkFilter: rangeFilter, inScoreRange } = resolveSearchFilters(documentFilter, filters)
+  if (filteredDocs && filteredDocs.length === 0) return []
+  const excluded = new Set([...(feedback?.negative || []), ...(similar?.excludeIds || [])])
+  const chunkFilter = excluded.size > 0
+    ? (doc, row) => !excluded.has(`${doc.id}::${doc.chunks[row].id}`) && (!rangeFilter || rangeFilter(doc, row))
+    : rangeFilter
+  const keywordMode = retrievalMode === 'keyword'
+
+  // All sub-queries are embedded in one request
+  let qEmbs = subQueries.map(() => null)
+  if (retrievalMode !== 'lexical' && !keywordMode) {
+    const { embeddingHost, embeddingModel, apiKey } = workspace.settings
+    const indexModel = workspace.index?.settings?.embeddingModel
+    if (indexModel && embeddingModel && indexModel !== embeddingModel) {
+      throw new Error(`인덱스가 다른 임베딩 모델(${indexModel})로 생성되었습니다. 임베딩을 다시 생성해주세요.`)
+    }
+    qEmbs = similar?.vector
+      ? [similar.vector]
+      : (await embedWithCache(subQueries, embeddingHost, embeddingModel, apiKey)).embeddings
+    const positives = chunkVectorsByIds(feedback?.positive || [])
+    const negatives = chunkVectorsByIds(feedback?.negative || [])
+    if (positives.length > 0 || negatives.length > 0) {
+      qEmbs = qEmbs.map((q) => rocchioQuery(q, positives, negatives))
     }
   }
 
+  const options = { retrievalMode, documentFilter: filteredDocs, chunkFilter, fusion, denseWeight, everyDoc: !GLOBAL_RESULT_MODES.includes(resultMode) }
+  // Global modes need each document's candidates as deep as the global cut
+  const k = Math.max(1, Number(topK) || 20)
+  const depth = resultDepth(resultMode, perDocN, k)
+  let resultsByDoc
+  let truncated = false
+  if (keywordMode) {
+    ({ resultsByDoc, truncated } = keywordSearchByDoc(String(query || '').trim() || subQueries[0], filteredDocs, chunkFilter))
+  } else if (subQueries.length === 1) {
+    resultsByDoc = searchOneQuery(subQueries[0], qEmbs[0], depth, options)
+  } else {
+    // Go deeper per sub-query so the merge has overlap to work with
+    const perQuery = subQueries.map((q, i) => searchOneQuery(q, qEmbs[i], depth * HYBRID_DEPTH, options))
+    resultsByDoc = mergeQueryResults(subQueries, perQuery, depth, queryFusion, retrievalMode)
+  }
+  if (!keywordMode) resultsByDoc = selectResults(resultsByDoc, { resultMode, topK: k, minScore: Number(minScore) || 0, mmrLambda })
+
   // Convert to final result format and sort documents by best hit
   const results = []
   for (const [docId, hits] of resultsByDoc.entries()) {
+    const kept = hits.filter(inScoreRange)
+    if (kept.length === 0) continue
+    const doc = workspace.docs.get(docId)
     results.push({
       docId,
       path: docId,
-      hits
+      mtimeMs: doc.mtimeMs,
+      metadata: doc.metadata || null,
+      hits: kept.map(toHit),
+      ...(truncated ? { truncated } : {})
     })
   }
   
-  // Sort documents by their top hit score
-  results.sort((a, b) => (b.hits[0]?.score || 0) - (a.hits[0]?.score || 0))
+  // Sort documents by their top hit score (global modes: by their best rank,
+  // keyword mode: by their number of matches)
+  const matchCount = (r) => r.hits.reduce((sum, h) => sum + h.score, 0)
+  if (keywordMode) results.sort((a, b) => matchCount(b) - matchCount(a))
+  else if (GLOBAL_RESULT_MODES.includes(resultMode)) results.sort((a, b) => a.hits[0].rank - b.hits[0].rank)
+  else results.sort((a, b) => (b.hits[0]?.score || 0) - (a.hits[0]?.score || 0))
   
   return results
 })
 
+ipcMain.handle('expand-query', async (_, { query, mode = 'multi' }) => {
+  const { llmHost, llmModel, llmApiKey } = workspace.settings
+  if (!llmHost || !llmModel) throw new Error('LLM 설정(Host/Model)을 입력해주세요.')
+  const trimmed = String(query || '').trim()
+  if (!trimmed) throw new Error('검색어를 입력해주세요.')
+  if (searchStates.expandQuery[mode]) {
+    throw new Error(`이미 ${mode} 모드에서 질의 확장 중입니다.`)
+  }
+
+  const controller = new AbortController()
+  searchStates.expandQuery[mode] = { controller }
+  try {
+    return await expandQueryWithLLM(trimmed, llmHost, llmModel, llmApiKey, controller.signal)
+  } catch (e) {
+    if (isCancelled(e, controller.signal)) throw new Error('질의 확장이 취소되었습니다.')
+    throw e
+  } finally {
+    searchStates.expandQuery[mode] = null
+  }
+})
+
+ipcMain.handle('expand-query-cancel', (_, args) => {
+  const { mode = 'multi' } = args || {}
+  searchStates.expandQuery[mode]?.controller.abort()
+  return true
+})
+
+// Documents nearest to docId by document vector (see documentVector), each with
+// the chunk pairs that explain the similarity
+ipcMain.handle('related-documents', (_, { docId, limit = RELATED_DOCS_LIMIT, pairs = RELATED_PAIRS }) => {
+  const source = workspace.docs.get(docId)
+  if (!source) throw new Error('인덱싱되지 않은 문서입니다. 전처리를 먼저 실행해주세요.')
+  const sourceVector = documentVector(source)
+  if (!sourceVector) throw new Error('이 문서에는 임베딩이 없습니다. 전처리를 다시 실행해주세요.')
+
+  const ranked = []
+  for (const doc of workspace.docs.values()) {
+    if (doc === source) continue
+    const v = documentVector(doc)
+    if (!v || v.length !== sourceVector.length) continue
+    ranked.push({ doc, score: dot(sourceVector, v) })
+  }
+  ranked.sort((a, b) => b.score - a.score)
+  return ranked.slice(0, Math.max(1, Number(limit) || RELATED_DOCS_LIMIT)).map(({ doc, score }) => ({
+    docId: doc.id,
+    path: doc.path,
+    metadata: doc.metadata || null,
+    score,
+    pairs: matchingChunkPairs(source, doc, Math.max(1, Number(pairs) || RELATED_PAIRS)),
+  }))
+})
+
+// Rerank the top-K hits of a search result (same shape as 'search' returns).
+// Hits keep their retrieval `score` and get a `rerankScore`; reranked hits come
+// first. Runs under its own timeout and can be cancelled per mode.
+const RERANK_CONCURRENCY = 4
+
+ipcMain.handle('rerank', async (_, { query, results = [], topK = 20, mode = 'multi' }) => {
+  const {
+    rerankMethod = 'llm',
+    rerankHost,
+    rerankModel,
+    rerankApiKey,
+    rerankTimeoutSec,
+    llmHost,
+    llmModel,
+    llmApiKey,
+  } = workspace.settings
+  const useEndpoint = rerankMethod === 'endpoint'
+  const host = useEndpoint ? rerankHost : llmHost
+  const model = useEndpoint ? rerankModel : llmModel
+  const apiKey = useEndpoint ? rerankApiKey : llmApiKey
+  if (!host || !model) {
+    throw new Error(useEndpoint ? 'Rerank 설정(Host/Model)을 입력해주세요.' : 'LLM 설정(Host/Model)을 입력해주세요.')
+  }
+  if (searchStates.rerank[mode]?.running) {
+    throw new Error(`이미 ${mode} 모드에서 재순위화 중입니다.`)
+  }
+
+  const controller = new AbortController()
+  const state = { cancelled: false, timedOut: false, controller, running: true }
+  searchStates.rerank[mode] = state
+  const timer = setTimeout(() => {
+    state.timedOut = true
+    controller.abort()
+  }, (Number(rerankTimeoutSec) || 60) * 1000)
+
+  try {
+    const candidates = results
+      .flatMap((r) => r.hits.map((hit) => ({ docId: r.docId, hit })))
+      .sort((a, b) => b.hit.score - a.hit.score)
+      .slice(0, Math.max(1, topK))
+    const texts = candidates.map((c) => c.hit.text)
+
+    let scores
+    if (useEndpoint) {
+      scores = await rerankWithEndpoint(query, texts, host, model, apiKey, controller.signal)
+    } else {
+      // A chunk whose request fails or whose reply isn't valid JSON keeps a null
+      // score and its original rank; the others are still reranked
+      scores = new Array(texts.length).fill(null)
+      let lastError = null
+      let next = 0
+      const worker = async () => {
+        while (next < texts.length) {
+          const i = next++
+          if (controller.signal.aborted) throw new Error('CANCELLED')
+          try {
+            scores[i] = await scoreChunkWithLLM(texts[i], query, host, model, apiKey, controller.signal)
+          } catch (e) {
+            if (isCancelled(e, controller.signal)) throw e
+            lastError = e
+            console.warn('Rerank scoring failed:', e?.message || e)
+          }
+        }
+      }
+      await Promise.all(Array.from({ length: Math.min(RERANK_CONCURRENCY, texts.length) }, worker))
+      if (lastError && scores.every((s) => s === null)) throw lastError
+    }
+
+    const rerankScores = new Map() // hit id -> rerank score
+    candidates.forEach((c, i) => {
+      if (scores[i] !== null) rerankScores.set(c.hit.id, scores[i])
+    })
+    const byRerank = (a, b) => {
+      const ra = rerankScores.has(a.id) ? rerankScores.get(a.id) : -Infinity
+      const rb = rerankScores.has(b.id) ? rerankScores.get(b.id) : -Infinity
+      return rb - ra || b.score - a.score
+    }
+    const reranked = results.map((r) => ({
+      ...r,
+      hits: r.hits
+        .map((hit) => (rerankScores.has(hit.id) ? { ...hit, rerankScore: rerankScores.get(hit.id) } : hit))
+        .sort(byRerank),
+    }))
+    reranked.sort((a, b) => byRerank(a.hits[0] || { score: 0 }, b.hits[0] || { score: 0 }))
+    return reranked
+  } catch (e) {
+    if (state.timedOut) throw new Error('재순위화 시간이 초과되었습니다.')
+    if (state.cancelled || isCancelled(e, controller.signal)) throw new Error('재순위화가 취소되었습니다.')
+    throw e
+  } finally {
+    clearTimeout(timer)
+    // Stops requests still in flight in the other workers when one failed
+    controller.abort()
+    state.running = false
+    if (searchStates.rerank[mode] === state) searchStates.rerank[mode] = null
+  }
+})
+
+ipcMain.handle('rerank-cancel', (_, args) => {
+  const { mode = 'multi' } = args || {}
+  if (searchStates.rerank[mode]) {
+    searchStates.rerank[mode].cancelled = true
+    searchStates.rerank[mode].controller.abort()
+  }
+  return true
+})
+
+ipcMain.handle('ann-recall-check', async (_, args) => {
+  const { sampleSize = 50, k = ANN_RECALL_K } = args || {}
+  if (!workspace.ann) throw new Error('ANN 인덱스가 없습니다. 설정에서 활성화한 뒤 인덱스를 업데이트해주세요.')
+  return measureAnnRecall(workspace.ann, sampleSize, k)
+})
+
 ipcMain.handle('exhaustive-search', async (event, { query, documentFilter = null, mode = 'multi' }) => {
   if (workspace.docs.size === 0) throw new Error('전처리가 완료되지 않았습니다.')
   const { llmHost, llmModel, llmApiKey } = workspace.settings
@@ -519,7 +2142,11 @@ ipcMain.handle('exhaustive-search', async (event, { query, documentFilter = null
           path: doc.path,
           chunkId: chunk.id,
           page: chunk.page,
+          pageEnd: chunk.pageEnd,
+          pageBreaks: chunk.pageBreaks,
+          section: chunk.section || null,
           text: chunk.text,
+          boxes: expandBoxes(chunk.boxes),
           classification: classification.classification,
           reason: classification.reason,
           timestamp: Date.now()
@@ -0,0 +1,90 @@
+// Worker thread entry for PDF text extraction (see extractionPool.js).
+// Receives { id, filePath, layout } and replies { id, pages, boxes, metadata } or { id, error, name, code }.
+// With layout, page texts go through the layout pass in pdfLayout.js.
+// boxes[i] lists the text items of page i + 1 as { start, end, index, x, y, width, height }:
+// the item's [start, end) in the page text and its rectangle in viewport
+// space at scale 1 (top-left origin, what the viewer draws highlights in).
+const { parentPort } = require('node:worker_threads')
+const fs = require('node:fs')
+const { layoutPages } = require('./pdfLayout')
+
+// Lazy import pdfjs-dist for text extraction
+let pdfjsLib = null
+
+// Year and tags from the document info dictionary (CreationDate is "D:YYYYMMDD...")
+function parseMetadata(info) {
+  if (!info) return null
+  const date = /^(?:D:)?(\d{4})/.exec(String(info.CreationDate || info.ModDate || ''))
+  const tags = String(info.Keywords || '')
+    .split(/[,;]/)
+    .map((t) => t.trim())
+    .filter(Boolean)
+  return {
+    title: typeof info.Title === 'string' && info.Title.trim() ? info.Title.trim() : null,
+    year: date ? Number(date[1]) : null,
+    tags,
+  }
+}
+
+// Page text from stream-ordered items. Line ends are kept so chunking can
+// tell section headings from body text.
+function joinItems(items) {
+  let text = ''
+  const spans = []
+  items.forEach((item, index) => {
+    if (text && !text.endsWith('\n')) text += ' '
+    if (item.str.trim()) spans.push({ start: text.length, end: text.length + item.str.length, index })
+    text += item.str
+    if (item.hasEOL) text += '\n'
+  })
+  return { text, spans }
+}
+
+function itemRect(item, viewport) {
+  const [a, b, c, d, e, f] = item.transform
+  const height = item.height || Math.hypot(c, d) || Math.hypot(a, b)
+  const [x1, y1, x2, y2] = viewport.convertToViewportRectangle([e, f, e + (item.width || 0), f + height])
+  const round = (n) => Math.round(n * 10) / 10
+  return { x: round(Math.min(x1, x2)), y: round(Math.min(y1, y2)), width: round(Math.abs(x2 - x1)), height: round(Math.abs(y2 - y1)) }
+}
+
+async function loadPdfTextPages(filePath, layout) {
+  if (!pdfjsLib) {
+    // Use legacy ESM build for Node compatibility (v5+)
+    pdfjsLib = await import('pdfjs-dist/legacy/build/pdf.mjs')
+  }
+  // Read the file directly to avoid URL fetch differences
+  const data = new Uint8Array(fs.readFileSync(filePath))
+  const loadingTask = pdfjsLib.getDocument({ data })
+  const pdf = await loadingTask.promise
+  try {
+    const raw = []
+    const total = pdf.numPages
+    const { info } = await pdf.getMetadata().catch(() => ({}))
+    for (let i = 1; i <= total; i++) {
+      const page = await pdf.getPage(i)
+      const tc = await page.getTextContent()
+      const viewport = page.getViewport({ scale: 1 })
+      raw.push({ items: tc.items, width: viewport.width, viewport })
+      page.cleanup()
+    }
+    const texts = layout ? layoutPages(raw) : raw.map((p) => joinItems(p.items))
+    return {
+      pages: texts.map((t) => t.text),
+      boxes: texts.map((t, i) => t.spans.map((s) => ({ ...s, ...itemRect(raw[i].items[s.index], raw[i].viewport) }))),
+      metadata: parseMetadata(info),
+    }
+  } finally {
+    await pdf.destroy()
+  }
+}
+
+parentPort.on('message', async ({ id, filePath, layout }) => {
+  try {
+    const { pages, boxes, metadata } = await loadPdfTextPages(filePath, layout)
+    parentPort.postMessage({ id, pages, boxes, metadata })
+  } catch (e) {
+    // name/code let the main process tell encrypted, corrupt and unreadable files apart
+    parentPort.postMessage({ id, error: e?.message || String(e), name: e?.name, code: e?.code })
+  }
+})
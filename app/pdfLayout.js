@@ -0,0 +1,248 @@
+// Layout pass over pdf.js text items, turning stream-ordered fragments into
+// reading-order text before chunking:
+//   - two-column pages are read column by column (full-width lines such as
+//     titles and wide captions split the page into bands read in turn)
+//   - lines repeated at the same height at the top or bottom of most pages
+//     (running headers, footers) and bare page numbers are dropped
+//   - words hyphenated across a line break are re-joined, keeping the hyphen
+//     of compounds ("self-attention")
+//   - ligatures and compatibility characters are normalized (NFKC)
+// Lines are separated by '\n' so chunking can still see section headings.
+// Each page also keeps the [start, end) of every item in its text, so chunks
+// can be mapped back to item boxes (see chunking.js).
+const LINE_TOLERANCE = 0.5 // of the font height: items closer than this in y share a line
+const GUTTER_SEARCH = [0.35, 0.65] // page-width fraction searched for a column gutter
+const GUTTER_MAX_CROSSING = 0.05 // share of items allowed to cross the gutter
+const COLUMN_MIN_SHARE = 0.2 // each column needs this share of the items
+const EDGE_LINES = 2 // lines at the top and bottom checked for headers/footers
+const REPEAT_MIN_PAGES = 3
+const REPEAT_MIN_SHARE = 0.5
+const REPEAT_Y_TOLERANCE = 3 // points a repeated header/footer may shift between pages
+
+// Line-final words that start a hyphenated compound rather than a split word
+const HYPHEN_PREFIXES = new Set([
+  'self', 'non', 'cross', 'multi', 'anti', 'well', 'state', 'end', 'long', 'short',
+  'high', 'low', 'large', 'small', 'full', 'half', 'real', 'open', 'fine', 'zero',
+  'few', 'one', 'two', 'three', 'data', 'task', 'domain', 'token', 'word', 'time',
+])
+
+// pdf.js item -> { index, str, x, y, width, height } in page space (y grows upward)
+function toBox(item, index) {
+  const [a, b, c, d, e, f] = item.transform
+  return {
+    index,
+    str: item.str,
+    x: e,
+    y: f,
+    width: item.width || 0,
+    height: item.height || Math.hypot(c, d) || Math.hypot(a, b) || 10,
+  }
+}
+
+// x that separates two columns, or null for single-column pages
+function findGutter(boxes, pageWidth) {
+  if (boxes.length < 10 || !pageWidth) return null
+  const from = Math.floor(pageWidth * GUTTER_SEARCH[0])
+  const to = Math.ceil(pageWidth * GUTTER_SEARCH[1])
+  const coverage = new Int32Array(to - from + 1)
+  for (const b of boxes) {
+    const start = Math.max(from, Math.floor(b.x))
+    const end = Math.min(to, Math.ceil(b.x + b.width))
+    for (let x = start; x <= end; x++) coverage[x - from]++
+  }
+  // Centre of the widest run of least-covered x positions
+  const min = Math.min(...coverage)
+  let best = null
+  for (let i = 0; i < coverage.length;) {
+    if (coverage[i] !== min) {
+      i++
+      continue
+    }
+    let j = i
+    while (j < coverage.length && coverage[j] === min) j++
+    if (!best || j - i > best.length) best = { start: i, length: j - i }
+    i = j
+  }
+  if (!best || min > boxes.length * GUTTER_MAX_CROSSING) return null
+  const gutter = from + best.start + best.length / 2
+  const left = boxes.filter((b) => b.x + b.width <= gutter).length
+  const right = boxes.filter((b) => b.x >= gutter).length
+  if (left < boxes.length * COLUMN_MIN_SHARE || right < boxes.length * COLUMN_MIN_SHARE) return null
+  return gutter
+}
+
+// Boxes -> lines ({ y, height, boxes }) from top to bottom, boxes left to right
+function groupLines(boxes) {
+  const sorted = [...boxes].sort((a, b) => b.y - a.y || a.x - b.x)
+  const lines = []
+  for (const box of sorted) {
+    const line = lines.find((l) => Math.abs(l.y - box.y) < Math.min(l.height, box.height) * LINE_TOLERANCE)
+    if (line) {
+      line.boxes.push(box)
+      line.height = Math.max(line.height, box.height)
+    } else {
+      lines.push({ y: box.y, height: box.height, boxes: [box] })
+    }
+  }
+  for (const line of lines) line.boxes.sort((a, b) => a.x - b.x)
+  return lines.sort((a, b) => b.y - a.y)
+}
+
+// Items of one line joined with a space only where there is a visible gap.
+// -> { text, spans: [{ start, end, index }] } with each item's place in text
+function lineText(line) {
+  let text = ''
+  const spans = []
+  let prevEnd = null
+  for (const box of line.boxes) {
+    let str = normalizeText(box.str).replace(/\s+/g, ' ')
+    const gap = prevEnd === null ? 0 : box.x - prevEnd
+    if (text && gap > box.height * 0.15 && !/\s$/.test(text) && !/^\s/.test(str)) text += ' '
+    if (!text || text.endsWith(' ')) str = str.trimStart()
+    if (str) spans.push({ start: text.length, end: text.length + str.length, index: box.index })
+    text += str
+    prevEnd = box.x + box.width
+  }
+  text = text.trimEnd()
+  return {
+    text,
+    spans: spans.map((s) => ({ ...s, end: Math.min(s.end, text.length) })).filter((s) => s.end > s.start),
+  }
+}
+
+// Lines of one page in reading order: [{ text, spans }]
+function orderPageLines(boxes, pageWidth) {
+  const gutter = findGutter(boxes, pageWidth)
+  if (gutter === null) return groupLines(boxes).map(lineText)
+
+  // Full-width lines cut the page into bands; each band is read left column first
+  const wide = groupLines(boxes.filter((b) => b.x < gutter && b.x + b.width > gutter))
+  const columnLines = groupLines(boxes.filter((b) => b.x + b.width <= gutter || b.x >= gutter))
+  const ordered = []
+  let band = []
+  const flushBand = () => {
+    const left = band.filter((l) => l.boxes[0].x < gutter)
+    const right = band.filter((l) => l.boxes[0].x >= gutter)
+    ordered.push(...left, ...right)
+    band = []
+  }
+  let w = 0
+  for (const line of columnLines) {
+    while (w < wide.length && wide[w].y > line.y) {
+      flushBand()
+      ordered.push(wide[w++])
+    }
+    // Column lines at the same height in both columns were grouped together; split them
+    const leftBoxes = line.boxes.filter((b) => b.x < gutter)
+    const rightBoxes = line.boxes.filter((b) => b.x >= gutter)
+    if (leftBoxes.length > 0) band.push({ ...line, boxes: leftBoxes })
+    if (rightBoxes.length > 0) band.push({ ...line, boxes: rightBoxes })
+  }
+  flushBand()
+  ordered.push(...wide.slice(w))
+  return ordered.map(lineText)
+}
+
+function isPageNumber(text) {
+  return /^(?:page\s+)?[-–]?\s*(?:\d{1,4}|[ivxlc]{1,6})\s*[-–]?(?:\s*(?:of|\/)\s*\d{1,4})?$/i.test(text.trim())
+}
+
+// Digits vary between pages ("Page 3", dates), so they don't count for
+// repetition; the band and the height on the page do (see findRepeatedEdges)
+function repeatKey(band, text) {
+  return `${band}:${text.toLowerCase().replace(/\d+/g, '#').replace(/\s+/g, ' ').trim()}`
+}
+
+// Top and bottom EDGE_LINES lines of a page by position, before any column
+// ordering: [{ key, y, boxes }]. On short pages a line can be in both bands.
+function edgeLines(boxes) {
+  const lines = groupLines(boxes)
+  const edge = (band) => (l) => {
+    const text = lineText(l).text
+    return { key: repeatKey(band, text), text, y: l.y, boxes: l.boxes }
+  }
+  return [...lines.slice(0, EDGE_LINES).map(edge('top')), ...lines.slice(-EDGE_LINES).map(edge('bottom'))]
+}
+
+// Running headers/footers: edge lines whose text (digits aside) repeats in the
+// same band at the same height on enough pages -> Map key -> [y]
+function findRepeatedEdges(pagesEdges) {
+  const heights = new Map() // key -> [y], one per page
+  for (const edges of pagesEdges) {
+    const seen = new Set()
+    for (const l of edges) {
+      if (seen.has(l.key)) continue
+      seen.add(l.key)
+      heights.set(l.key, [...(heights.get(l.key) || []), l.y])
+    }
+  }
+  const minPages = Math.max(REPEAT_MIN_PAGES, Math.ceil(pagesEdges.length * REPEAT_MIN_SHARE))
+  const repeated = new Map()
+  for (const [key, ys] of heights) {
+    if (ys.length < minPages) continue
+    const positions = ys.filter((y) => ys.filter((other) => Math.abs(other - y) <= REPEAT_Y_TOLERANCE).length >= minPages)
+    if (positions.length > 0) repeated.set(key, positions)
+  }
+  return repeated
+}
+
+function isRepeatedEdge(line, repeated) {
+  return (repeated.get(line.key) || []).some((y) => Math.abs(line.y - y) <= REPEAT_Y_TOLERANCE)
+}
+
+// "experi-" + "ments" -> "experiments"; a compound ("state-of-the-", "self-")
+// keeps its hyphen
+function joinLines(lines) {
+  const out = []
+  for (const line of lines) {
+    const prev = out[out.length - 1]
+    const hyphenated = prev && /\p{L}-$/u.test(prev.text) && /^\p{Ll}/u.test(line.text)
+    if (!hyphenated) {
+      out.push({ text: line.text, spans: [...line.spans] })
+      continue
+    }
+    const head = prev.text.slice(0, -1)
+    const lastWord = /\S*$/.exec(head)[0]
+    const kept = lastWord.includes('-') || HYPHEN_PREFIXES.has(lastWord.toLowerCase().replace(/^\P{L}+/u, '')) ? prev.text : head
+    prev.spans = prev.spans
+      .map((s) => ({ ...s, end: Math.min(s.end, kept.length) }))
+      .filter((s) => s.end > s.start)
+      .concat(line.spans.map((s) => ({ ...s, start: s.start + kept.length, end: s.end + kept.length })))
+    prev.text = `${kept}${line.text}`
+  }
+  return out
+}
+
+// Lines -> one page text, item spans shifted to their offsets in it
+function joinPage(lines) {
+  let text = ''
+  const spans = []
+  for (const line of lines) {
+    if (text) text += '\n'
+    for (const s of line.spans) spans.push({ ...s, start: s.start + text.length, end: s.end + text.length })
+    text += line.text
+  }
+  return { text, spans }
+}
+
+function normalizeText(text) {
+  return text.normalize('NFKC').replace(/[\u00AD\u200B-\u200D\uFEFF]/g, '')
+}
+
+// pages: [{ items, width }] (pdf.js getTextContent().items and viewport width)
+// -> [{ text, spans: [{ start, end, index }] }] per page, text in reading order
+// and index pointing into that page's items
+function layoutPages(pages) {
+  const pagesBoxes = pages.map((p) => p.items.map(toBox).filter((b) => b.str && b.str.trim()))
+  const pagesEdges = pagesBoxes.map(edgeLines)
+  const repeated = pages.length >= REPEAT_MIN_PAGES ? findRepeatedEdges(pagesEdges) : new Map()
+  return pagesBoxes.map((boxes, i) => {
+    const dropped = new Set(pagesEdges[i]
+      .filter((l) => isRepeatedEdge(l, repeated) || isPageNumber(l.text))
+      .flatMap((l) => l.boxes))
+    const lines = orderPageLines(boxes.filter((b) => !dropped.has(b)), pages[i].width).filter((l) => l.text)
+    return joinPage(joinLines(lines))
+  })
+}
+
+module.exports = { layoutPages }
@@ -5,13 +5,27 @@ contextBridge.exposeInMainWorld('api', {
   writeToClipboard: (text) => ipcRenderer.invoke('write-to-clipboard', text),
   selectWorkspace: () => ipcRenderer.invoke('select-workspace'),
   setSettings: (settings) => ipcRenderer.invoke('set-settings', settings),
+  getEmbeddingCacheStats: () => ipcRenderer.invoke('get-embedding-cache-stats'),
+  clearEmbeddingCache: () => ipcRenderer.invoke('clear-embedding-cache'),
   setIncludeFiles: (files) => ipcRenderer.invoke('set-include-files', files),
   resetWorkspace: () => ipcRenderer.invoke('reset-workspace'),
-  preprocess: () => ipcRenderer.invoke('preprocess'),
+  getIndexStatus: () => ipcRenderer.invoke('get-index-status'),
+  preprocess: (options) => ipcRenderer.invoke('preprocess', options),
   cancelPreprocess: () => ipcRenderer.invoke('preprocess-cancel'),
   search: (args) => ipcRenderer.invoke('search', args),
+  expandQuery: (args) => ipcRenderer.invoke('expand-query', args),
+  cancelExpandQuery: (args) => ipcRenderer.invoke('expand-query-cancel', args),
+  getRelatedDocuments: (args) => ipcRenderer.invoke('related-documents', args),
+  checkAnnRecall: (args) => ipcRenderer.invoke('ann-recall-check', args),
   exhaustiveSearch: (args) => ipcRenderer.invoke('exhaustive-search', args),
   cancelExhaustiveSearch: (args) => ipcRenderer.invoke('exhaustive-search-cancel', args),
+  rerankResults: (args) => ipcRenderer.invoke('rerank', args),
+  cancelRerank: (args) => ipcRenderer.invoke('rerank-cancel', args),
+  getSearchHistory: () => ipcRenderer.invoke('get-search-history'),
+  recordSearch: (search) => ipcRenderer.invoke('record-search', search),
+  updateSearchHistory: (args) => ipcRenderer.invoke('update-search-history', args),
+  deleteSearchHistory: (args) => ipcRenderer.invoke('delete-search-history', args),
+  clearSearchHistory: () => ipcRenderer.invoke('clear-search-history'),
   resolveFileUrl: (filePath) => ipcRenderer.invoke('resolve-file-url', filePath),
   loadPdfData: (filePath) => ipcRenderer.invoke('load-pdf-data', filePath),
   onPreprocessProgress: (cb) => {
@@ -34,6 +48,11 @@ contextBridge.exposeInMainWorld('api', {
     ipcRenderer.on('preprocess-error', listener)
     return () => ipcRenderer.off('preprocess-error', listener)
   },
+  onWorkspaceFilesChanged: (cb) => {
+    const listener = (_e, payload) => cb(payload)
+    ipcRenderer.on('workspace-files-changed', listener)
+    return () => ipcRenderer.off('workspace-files-changed', listener)
+  },
   onExhaustiveSearchStart: (cb) => {
     const listener = (_e, payload) => cb(payload)
     ipcRenderer.on('exhaustive-search-start', listener)
@@ -0,0 +1,81 @@
+// Retry and rate-limit helpers for embedding/LLM HTTP calls (axios errors).
+// Transient failures (429, 5xx, timeouts, dropped connections) are retried
+// with exponential backoff; anything else is thrown right away.
+const BASE_DELAY_MS = 1000
+const MAX_DELAY_MS = 30000
+const RETRYABLE_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'EAI_AGAIN', 'ERR_NETWORK']
+
+function cancelledError() {
+  return new Error('CANCELLED')
+}
+
+function isCancelled(e, signal) {
+  return !!signal?.aborted || e?.message === 'CANCELLED' || e?.code === 'ERR_CANCELED'
+}
+
+// Resolves after ms, or rejects with CANCELLED once signal aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(cancelledError())
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(cancelledError())
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+function isRetryableError(e) {
+  const status = e?.response?.status
+  if (status) return status === 429 || status >= 500
+  return RETRYABLE_CODES.includes(e?.code)
+}
+
+// Honour Retry-After (seconds) when the server sends one, else 1s, 2s, 4s... with jitter
+function retryDelayMs(e, attempt) {
+  const retryAfter = Number(e?.response?.headers?.['retry-after'])
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return Math.min(MAX_DELAY_MS, retryAfter * 1000)
+  const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt)
+  return delay / 2 + Math.random() * (delay / 2)
+}
+
+async function withRetry(fn, { retries = 3, signal, onRetry } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn()
+    } catch (e) {
+      if (isCancelled(e, signal)) throw cancelledError()
+      if (attempt >= retries || !isRetryableError(e)) throw e
+      const delay = retryDelayMs(e, attempt)
+      if (onRetry) onRetry(e, attempt + 1, delay)
+      await sleep(delay, signal)
+    }
+  }
+}
+
+// Sliding one-minute window shared by concurrent callers; rpm <= 0 disables it
+class RateLimiter {
+  constructor(rpm = 0) {
+    this.rpm = rpm
+    this.stamps = []
+  }
+
+  async acquire(signal) {
+    for (;;) {
+      if (!(this.rpm > 0)) return
+      const now = Date.now()
+      while (this.stamps.length > 0 && now - this.stamps[0] >= 60000) this.stamps.shift()
+      if (this.stamps.length < this.rpm) {
+        this.stamps.push(now)
+        return
+      }
+      await sleep(this.stamps[0] + 60000 - now, signal)
+    }
+  }
+}
+
+module.exports = { sleep, isCancelled, isRetryableError, withRetry, RateLimiter }
@@ -0,0 +1,159 @@
+const { hasRow, unpackRow, cosineRow } = require('./vectorStore')
+const { tokenize } = require('./lexicalIndex')
+
+// Fusion of candidate lists and the global result cut. Candidates are
+// { doc, row, score, ... } grouped by doc id, best first.
+//
+// Fused scores (RRF ranks, weighted mixes) say nothing on their own, so fused
+// hits keep the scores they were fused from: denseScore (cosine) and
+// lexicalScore (BM25). The 'threshold' cut compares minScore with those.
+const RRF_K = 60
+
+function topByDoc(entries, perDocN) {
+  const resultsByDoc = new Map()
+  for (const entry of entries.sort((a, b) => b.score - a.score)) {
+    const docHits = resultsByDoc.get(entry.doc.id) || []
+    if (docHits.length >= perDocN) continue
+    docHits.push(entry)
+    resultsByDoc.set(entry.doc.id, docHits)
+  }
+  return resultsByDoc
+}
+
+// Best score, at least 1e-9 so it can divide. A loop rather than Math.max(...):
+// spreading a large candidate list overflows the call stack.
+function maxScore(candidates) {
+  return candidates.reduce((max, c) => Math.max(max, c.score), 1e-9)
+}
+
+// Merge dense and lexical candidate lists by reciprocal rank ('rrf') or by
+// max-normalized scores ('weighted', denseWeight in [0, 1])
+function fuseByDoc(denseByDoc, lexicalByDoc, perDocN, { fusion = 'rrf', denseWeight = 0.5 } = {}) {
+  const ranked = (byDoc) => [...byDoc.values()].flat().sort((a, b) => b.score - a.score)
+  const dense = ranked(denseByDoc)
+  const lexical = ranked(lexicalByDoc)
+  const maxDense = maxScore(dense)
+  const maxLexical = maxScore(lexical)
+  const w = Math.min(1, Math.max(0, Number(denseWeight)))
+
+  const fused = new Map() // `${docId}::${row}` -> { doc, row, score, denseScore, lexicalScore }
+  const add = (list, key, weight, max) => {
+    list.forEach((c, rank) => {
+      const id = `${c.doc.id}::${c.row}`
+      const entry = fused.get(id) || { doc: c.doc, row: c.row, score: 0, denseScore: null, lexicalScore: null }
+      entry[key] = c.score
+      entry.score += fusion === 'weighted' ? weight * (c.score / max) : 1 / (RRF_K + rank + 1)
+      fused.set(id, entry)
+    })
+  }
+  add(dense, 'denseScore', w, maxDense)
+  add(lexical, 'lexicalScore', 1 - w, maxLexical)
+  return topByDoc([...fused.values()], perDocN)
+}
+
+// Score a fused hit is measured by: its cosine if it has one, else its BM25.
+// A hybrid hit found only by BM25 has no cosine and fails any threshold.
+function similarityScore(c) {
+  if (c.denseScore !== undefined) return c.denseScore === null ? -Infinity : c.denseScore
+  if (c.lexicalScore !== undefined) return c.lexicalScore === null ? -Infinity : c.lexicalScore
+  return c.score
+}
+
+// Merge per-query candidates. 'max' keeps the best sub-query score, 'mean'
+// averages over all sub-queries (a miss counts as 0, so agreement wins),
+// 'rrf' sums reciprocal ranks. Every hit lists the sub-queries that would have
+// shown it on their own (within their top perDocN for the doc), and keeps its
+// best sub-query cosine (BM25 for lexical retrieval) as denseScore (lexicalScore).
+function mergeQueryResults(queries, perQueryByDoc, perDocN, queryFusion = 'rrf', retrievalMode = 'dense') {
+  const scoreKey = retrievalMode === 'lexical' ? 'lexicalScore' : 'denseScore'
+  const merged = new Map() // `${docId}::${row}` -> { doc, row, score, matchedQueries, [scoreKey] }
+  perQueryByDoc.forEach((byDoc, qi) => {
+    const ownHits = new Set()
+    for (const list of byDoc.values()) list.slice(0, perDocN).forEach((c) => ownHits.add(c))
+    const ranked = [...byDoc.values()].flat().sort((a, b) => b.score - a.score)
+    ranked.forEach((c, rank) => {
+      const id = `${c.doc.id}::${c.row}`
+      const entry = merged.get(id) || { doc: c.doc, row: c.row, score: 0, matchedQueries: [], [scoreKey]: null }
+      if (queryFusion === 'max') entry.score = merged.has(id) ? Math.max(entry.score, c.score) : c.score
+      else if (queryFusion === 'mean') entry.score += c.score / queries.length
+      else entry.score += 1 / (RRF_K + rank + 1)
+      const similarity = similarityScore(c)
+      if (similarity > -Infinity) entry[scoreKey] = Math.max(entry[scoreKey] ?? -Infinity, similarity)
+      if (ownHits.has(c)) entry.matchedQueries.push(queries[qi])
+      merged.set(id, entry)
+    })
+  })
+  return topByDoc([...merged.values()], perDocN)
+}
+
+// Result modes: 'perDoc' keeps the best perDocN hits of every document;
+// 'topK' keeps the best topK chunks overall; 'threshold' keeps every chunk
+// whose similarity (see similarityScore) is at least minScore (up to
+// THRESHOLD_MAX_HITS); 'mmr' picks topK chunks by maximal marginal relevance
+// so overlapping near-duplicates don't crowd out other passages. Global modes
+// return hits in global rank order.
+const GLOBAL_RESULT_MODES = ['topK', 'threshold', 'mmr']
+const THRESHOLD_MAX_HITS = 100
+const MMR_POOL_FACTOR = 4 // candidates per requested hit considered by MMR
+
+function resultDepth(resultMode, perDocN, topK) {
+  if (resultMode === 'topK') return topK
+  if (resultMode === 'threshold') return THRESHOLD_MAX_HITS
+  if (resultMode === 'mmr') return topK * MMR_POOL_FACTOR
+  return perDocN
+}
+
+// Chunk-to-chunk similarity: embedding cosine, or token overlap without vectors
+function chunkSimilarity(a, b) {
+  if (hasRow(a.doc.vectors, a.row) && hasRow(b.doc.vectors, b.row)) {
+    const v = unpackRow(a.doc.vectors, a.row)
+    return cosineRow(b.doc.vectors, b.row, v, a.doc.vectors.norms[a.row])
+  }
+  const ta = new Set(tokenize(a.doc.chunks[a.row].text))
+  const tb = new Set(tokenize(b.doc.chunks[b.row].text))
+  let shared = 0
+  for (const t of ta) if (tb.has(t)) shared++
+  return shared / Math.max(1, ta.size + tb.size - shared)
+}
+
+function mmrSelect(candidates, k, lambda) {
+  const max = maxScore(candidates)
+  const pool = candidates.map((c) => ({ c, relevance: c.score / max, redundancy: 0 }))
+  const selected = []
+  while (selected.length < k && pool.length > 0) {
+    let best = 0
+    for (let i = 1; i < pool.length; i++) {
+      const mmr = (p) => lambda * p.relevance - (1 - lambda) * p.redundancy
+      if (mmr(pool[i]) > mmr(pool[best])) best = i
+    }
+    const [picked] = pool.splice(best, 1)
+    selected.push(picked.c)
+    for (const p of pool) p.redundancy = Math.max(p.redundancy, chunkSimilarity(picked.c, p.c))
+  }
+  return selected
+}
+
+function selectResults(resultsByDoc, { resultMode = 'perDoc', topK = 20, minScore = 0, mmrLambda = 0.7 }) {
+  if (!GLOBAL_RESULT_MODES.includes(resultMode)) return resultsByDoc
+  let ranked = [...resultsByDoc.values()].flat().sort((a, b) => b.score - a.score)
+  if (resultMode === 'topK') ranked = ranked.slice(0, topK)
+  else if (resultMode === 'threshold') ranked = ranked.filter((c) => similarityScore(c) >= minScore).slice(0, THRESHOLD_MAX_HITS)
+  else ranked = mmrSelect(ranked.slice(0, topK * MMR_POOL_FACTOR), topK, Math.min(1, Math.max(0, Number(mmrLambda))))
+
+  const selected = new Map()
+  ranked.forEach((c, i) => {
+    const docHits = selected.get(c.doc.id) || []
+    docHits.push({ ...c, rank: i + 1 })
+    selected.set(c.doc.id, docHits)
+  })
+  return selected
+}
+
+module.exports = {
+  GLOBAL_RESULT_MODES,
+  fuseByDoc,
+  mergeQueryResults,
+  resultDepth,
+  selectResults,
+  similarityScore,
+}
@@ -0,0 +1,109 @@
+const path = require('node:path')
+const fs = require('node:fs')
+const crypto = require('node:crypto')
+
+// Search history and saved searches of one workspace, kept as history.json in
+// the workspace's index directory. Entries:
+//   { id, kind, query, queries, mode, documentFilter, retrievalMode, filters,
+//     similarTo, resultCount, timestamp, pinned, name }
+// kind: 'search' (query search), 'exhaustive' (LLM classification of every
+// chunk) or 'similar' ("more like this"; query is the source passage and
+// similarTo the source as passed to the search). Entries without a kind are
+// query searches.
+// Pinned (saved) entries are kept forever; the rest are trimmed to HISTORY_LIMIT.
+const HISTORY_VERSION = 1
+const HISTORY_LIMIT = 200
+
+function historyPath(dir) {
+  return path.join(dir, 'history.json')
+}
+
+function loadSearchHistory(dir) {
+  try {
+    const data = JSON.parse(fs.readFileSync(historyPath(dir), 'utf-8'))
+    return data.version === HISTORY_VERSION && Array.isArray(data.entries) ? data.entries : []
+  } catch {
+    return []
+  }
+}
+
+function saveSearchHistory(dir, entries) {
+  fs.mkdirSync(dir, { recursive: true })
+  const tmp = `${historyPath(dir)}.tmp`
+  fs.writeFileSync(tmp, JSON.stringify({ version: HISTORY_VERSION, entries }))
+  fs.renameSync(tmp, historyPath(dir))
+  return entries
+}
+
+const SEARCH_KINDS = ['search', 'exhaustive', 'similar']
+
+function sameSearch(a, b) {
+  return (a.kind || 'search') === (b.kind || 'search') &&
+    a.query === b.query &&
+    a.mode === b.mode &&
+    a.retrievalMode === b.retrievalMode &&
+    JSON.stringify(a.queries || null) === JSON.stringify(b.queries || null) &&
+    JSON.stringify(a.documentFilter || null) === JSON.stringify(b.documentFilter || null) &&
+    JSON.stringify(a.filters || null) === JSON.stringify(b.filters || null) &&
+    JSON.stringify(a.similarTo || null) === JSON.stringify(b.similarTo || null)
+}
+
+// Newest first. Repeating the latest search only refreshes its time and count.
+function addSearchHistory(dir, search) {
+  const entries = loadSearchHistory(dir)
+  const entry = {
+    id: crypto.randomUUID(),
+    kind: SEARCH_KINDS.includes(search.kind) ? search.kind : 'search',
+    query: String(search.query || ''),
+    queries: search.queries || null,
+    mode: search.mode === 'single' ? 'single' : 'multi',
+    documentFilter: search.documentFilter || null,
+    retrievalMode: search.retrievalMode || 'dense',
+    filters: search.filters || null,
+    similarTo: search.similarTo || null,
+    resultCount: Number(search.resultCount) || 0,
+    timestamp: Date.now(),
+    pinned: false,
+    name: null,
+  }
+  const latest = entries.find((e) => !e.pinned)
+  if (latest && sameSearch(latest, entry)) {
+    latest.timestamp = entry.timestamp
+    latest.resultCount = entry.resultCount
+  } else {
+    entries.unshift(entry)
+  }
+
+  let unpinned = 0
+  const kept = entries.filter((e) => e.pinned || ++unpinned <= HISTORY_LIMIT)
+  return saveSearchHistory(dir, kept)
+}
+
+// patch: { pinned, name }
+function updateSearchHistory(dir, id, patch) {
+  const entries = loadSearchHistory(dir).map((e) => {
+    if (e.id !== id) return e
+    const next = { ...e }
+    if (typeof patch.pinned === 'boolean') next.pinned = patch.pinned
+    if (patch.name !== undefined) next.name = String(patch.name || '').trim() || null
+    return next
+  })
+  return saveSearchHistory(dir, entries)
+}
+
+function removeSearchHistory(dir, id) {
+  return saveSearchHistory(dir, loadSearchHistory(dir).filter((e) => e.id !== id))
+}
+
+// Drops the plain history and keeps saved searches
+function clearSearchHistory(dir) {
+  return saveSearchHistory(dir, loadSearchHistory(dir).filter((e) => e.pinned))
+}
+
+module.exports = {
+  loadSearchHistory,
+  addSearchHistory,
+  updateSearchHistory,
+  removeSearchHistory,
+  clearSearchHistory,
+}
@@ -0,0 +1,146 @@
+// Token counts for embedding inputs, so chunk budgets can be set in tokens and
+// over-long chunks caught before an embedding server truncates them.
+//
+//   cl100k        - byte-level BPE of OpenAI text-embedding-* (js-tiktoken). Exact;
+//                   Qwen's BPE is close to it.
+//   wordpiece     - BERT uncased WordPiece (bge/e5/gte English, MiniLM, nomic) over
+//                   the bert-base-uncased vocabulary, + [CLS]/[SEP]. Exact.
+//   sentencepiece - multilingual SentencePiece (XLM-R based: bge-m3, multilingual-e5),
+//                   + <s>/</s>. Its 250k-piece model isn't bundled, so this family
+//                   is an estimate (tokenizer.estimated) calibrated on typical
+//                   XLM-R piece lengths.
+//
+// pieces() splits text the way the family's pre-tokenizer does: tokens never
+// cross piece boundaries, so the pieces' token counts add up to the real count
+// and chunk cuts between pieces never split a token.
+const { Tiktoken } = require('js-tiktoken/lite')
+
+const TOKENIZER_FAMILIES = ['cl100k', 'wordpiece', 'sentencepiece']
+
+// First match wins, so multilingual variants come before their English base names
+const FAMILY_PATTERNS = [
+  [/text-embedding-|ada-00|qwen/i, 'cl100k'],
+  [/multilingual|bge-m3|xlm|labse|jina-embeddings-v3|paraphrase-multilingual/i, 'sentencepiece'],
+  [/bge|e5|gte|minilm|mpnet|bert|nomic|mxbai|snowflake|arctic/i, 'wordpiece'],
+]
+
+// Default max input tokens of well-known embedding models
+const MODEL_MAX_INPUT = [
+  [/text-embedding-3|text-embedding-ada-002/i, 8191],
+  [/bge-m3|nomic-embed|jina-embeddings|qwen|e5-mistral/i, 8192],
+  [/all-minilm|paraphrase-/i, 256],
+  [/bge|e5|gte|mxbai|snowflake|arctic|minilm|mpnet|bert/i, 512],
+]
+
+const SPECIAL_TOKENS = { cl100k: 0, wordpiece: 2, sentencepiece: 2 }
+const PIECE_CACHE_LIMIT = 100000
+const WORDPIECE_MAX_CHARS = 100 // longer words are a single [UNK], as in BERT
+
+// BERT's basic tokenizer: Han characters and punctuation (Unicode P plus ASCII
+// symbols) stand alone, everything else splits on whitespace
+const WORDPIECE_SPLIT = /\p{Script=Han}|[\p{P}\x21-\x2f\x3a-\x40\x5b-\x60\x7b-\x7e]|[^\s\p{P}\p{Script=Han}\x21-\x2f\x3a-\x40\x5b-\x60\x7b-\x7e]+/gu
+const SENTENCEPIECE_SPLIT = /\p{Script=Hangul}+|[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]+|[\p{L}\p{M}]+|\p{N}+|[^\s\p{L}\p{N}]/gu
+
+// Characters per XLM-R piece by script; punctuation is one piece each
+const SENTENCEPIECE_CHARS = { latin: 9, digits: 3, hangul: 2, cjk: 1.5 }
+
+function detectTokenizerFamily(model, family = 'auto') {
+  if (TOKENIZER_FAMILIES.includes(family)) return family
+  const match = FAMILY_PATTERNS.find(([pattern]) => pattern.test(String(model || '')))
+  return match ? match[1] : 'cl100k'
+}
+
+// Configured limit for the model (overrides: { [model]: tokens }), else the known default, else null
+function maxInputTokens(model, overrides = {}) {
+  const configured = Number(overrides?.[model])
+  if (configured > 0) return configured
+  const match = MODEL_MAX_INPUT.find(([pattern]) => pattern.test(String(model || '')))
+  return match ? match[1] : null
+}
+
+function cl100kCounter() {
+  const ranks = require('js-tiktoken/ranks/cl100k_base')
+  const encoder = new Tiktoken(ranks)
+  return { split: new RegExp(ranks.pat_str, 'gu'), count: (piece) => encoder.encode(piece).length }
+}
+
+// The vocabulary marks word-initial pieces with '▁' and continuations ('##x'
+// in BERT's vocab.txt) bare
+function wordpieceCounter() {
+  const vocab = new Set(require('bert-tokenizer/assets/vocab.json'))
+  const count = (piece) => {
+    const chars = Array.from(piece.toLowerCase().normalize('NFD').replace(/\p{Mn}/gu, ''))
+    if (chars.length === 0) return 0
+    if (chars.length > WORDPIECE_MAX_CHARS) return 1
+    let tokens = 0
+    for (let start = 0; start < chars.length; tokens++) {
+      let end = chars.length
+      const prefix = start === 0 ? '▁' : ''
+      while (end > start && !vocab.has(prefix + chars.slice(start, end).join(''))) end--
+      if (end === start) return 1
+      start = end
+    }
+    return tokens
+  }
+  return { split: WORDPIECE_SPLIT, count }
+}
+
+function sentencepieceCounter() {
+  const count = (piece) => {
+    if (/^\p{Script=Hangul}/u.test(piece)) return Math.ceil(piece.length / SENTENCEPIECE_CHARS.hangul)
+    if (/^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]/u.test(piece)) return Math.ceil(piece.length / SENTENCEPIECE_CHARS.cjk)
+    if (/^\p{N}/u.test(piece)) return Math.ceil(piece.length / SENTENCEPIECE_CHARS.digits)
+    if (/^\p{L}/u.test(piece)) return Math.ceil(piece.length / SENTENCEPIECE_CHARS.latin)
+    return 1
+  }
+  return { split: SENTENCEPIECE_SPLIT, count }
+}
+
+const COUNTERS = { cl100k: cl100kCounter, wordpiece: wordpieceCounter, sentencepiece: sentencepieceCounter }
+
+// Vocabularies are loaded once per family
+const tokenizers = new Map()
+
+function createTokenizer(family) {
+  const name = COUNTERS[family] ? family : 'cl100k'
+  if (tokenizers.has(name)) return tokenizers.get(name)
+
+  const { split, count } = COUNTERS[name]()
+  // Words repeat a lot across chunks and documents
+  const cache = new Map()
+  const pieceTokens = (piece) => {
+    let tokens = cache.get(piece)
+    if (tokens === undefined) {
+      if (cache.size >= PIECE_CACHE_LIMIT) cache.clear()
+      tokens = count(piece)
+      cache.set(piece, tokens)
+    }
+    return tokens
+  }
+  const tokenizer = {
+    family: name,
+    estimated: name === 'sentencepiece',
+    // [{ start, end, tokens }] in text order; chunk cuts fall between pieces
+    pieces(text) {
+      return Array.from(String(text || '').matchAll(split), (m) => ({
+        start: m.index,
+        end: m.index + m[0].length,
+        tokens: pieceTokens(m[0]),
+      }))
+    },
+    count(text) {
+      let total = 0
+      for (const m of String(text || '').matchAll(split)) total += pieceTokens(m[0])
+      return total + SPECIAL_TOKENS[name]
+    },
+  }
+  tokenizers.set(name, tokenizer)
+  return tokenizer
+}
+
+module.exports = {
+  TOKENIZER_FAMILIES,
+  detectTokenizerFamily,
+  maxInputTokens,
+  createTokenizer,
+}
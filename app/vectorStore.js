@@ -0,0 +1,148 @@
+// Compact per-document vector blocks.
+// Each document's chunk embeddings live in one contiguous typed array
+// (row i = chunk i) with a Float32 norm per row computed at full precision.
+// A norm of 0 marks a chunk that has no embedding yet.
+//
+// Quantization modes:
+//   none    - Float32Array, exact
+//   float16 - Uint16Array half floats, 2 bytes/dim
+//   int8    - Int8Array with a per-row scale, 1 byte/dim
+// Quantized scores are approximate; callers rescore top candidates with the
+// full-precision rows kept on disk.
+const QUANTIZATIONS = ['none', 'float16', 'int8']
+
+const f32 = new Float32Array(1)
+const u32 = new Uint32Array(f32.buffer)
+
+function toHalf(value) {
+  f32[0] = value
+  const x = u32[0]
+  const sign = (x >>> 16) & 0x8000
+  const exp = ((x >>> 23) & 0xff) - 127 + 15
+  let mant = x & 0x7fffff
+  if (exp <= 0) {
+    if (exp < -10) return sign
+    mant = (mant | 0x800000) >> (1 - exp)
+    return sign | ((mant + 0x1000) >> 13)
+  }
+  if (exp >= 0x1f) return sign | 0x7c00
+  // Rounding can carry into the exponent, which is still the correct result
+  return sign | (exp << 10) | ((mant + 0x1000) >> 13)
+}
+
+let halfTable = null
+function getHalfTable() {
+  if (halfTable) return halfTable
+  halfTable = new Float32Array(65536)
+  for (let h = 0; h < 65536; h++) {
+    const sign = h & 0x8000 ? -1 : 1
+    const exp = (h >> 10) & 0x1f
+    const mant = h & 0x3ff
+    if (exp === 0) halfTable[h] = sign * mant * 2 ** -24
+    else if (exp === 0x1f) halfTable[h] = mant ? NaN : sign * Infinity
+    else halfTable[h] = sign * (1 + mant / 1024) * 2 ** (exp - 15)
+  }
+  return halfTable
+}
+
+function normalizeQuantization(quantization) {
+  return QUANTIZATIONS.includes(quantization) ? quantization : 'none'
+}
+
+// rows: array (one per chunk) of number arrays / typed arrays, or null when missing
+function packVectors(rows, quantization = 'none') {
+  const mode = normalizeQuantization(quantization)
+  const count = rows.length
+  const dim = rows.find((r) => r && r.length)?.length || 0
+  const norms = new Float32Array(count)
+  const data = mode === 'float16'
+    ? new Uint16Array(count * dim)
+    : mode === 'int8'
+      ? new Int8Array(count * dim)
+      : new Float32Array(count * dim)
+  const scales = mode === 'int8' ? new Float32Array(count) : null
+
+  for (let r = 0; r < count; r++) {
+    const v = rows[r]
+    if (!v || v.length !== dim) continue
+    const offset = r * dim
+    let sq = 0
+    let maxAbs = 0
+    for (let i = 0; i < dim; i++) {
+      sq += v[i] * v[i]
+      const a = Math.abs(v[i])
+      if (a > maxAbs) maxAbs = a
+    }
+    norms[r] = Math.sqrt(sq)
+    if (mode === 'none') {
+      data.set(v, offset)
+    } else if (mode === 'float16') {
+      for (let i = 0; i < dim; i++) data[offset + i] = toHalf(v[i])
+    } else {
+      const scale = maxAbs / 127 || 1
+      scales[r] = scale
+      for (let i = 0; i < dim; i++) data[offset + i] = Math.round(v[i] / scale)
+    }
+  }
+  return { dim, count, quantization: mode, data, scales, norms }
+}
+
+function hasRow(block, row) {
+  return !!block && row < block.count && block.norms[row] > 0
+}
+
+// Float32 copy of a row (a view for unquantized blocks), or null if missing
+function unpackRow(block, row) {
+  if (!hasRow(block, row)) return null
+  const { dim, data } = block
+  const offset = row * dim
+  if (block.quantization === 'none') return data.subarray(offset, offset + dim)
+  const out = new Float32Array(dim)
+  if (block.quantization === 'float16') {
+    const table = getHalfTable()
+    for (let i = 0; i < dim; i++) out[i] = table[data[offset + i]]
+  } else {
+    const scale = block.scales[row]
+    for (let i = 0; i < dim; i++) out[i] = data[offset + i] * scale
+  }
+  return out
+}
+
+// Dot product of a query against a stored row without materializing it
+function dotRow(block, row, query) {
+  const { dim, data } = block
+  const offset = row * dim
+  let s = 0
+  if (block.quantization === 'none') {
+    for (let i = 0; i < dim; i++) s += data[offset + i] * query[i]
+  } else if (block.quantization === 'float16') {
+    const table = getHalfTable()
+    for (let i = 0; i < dim; i++) s += table[data[offset + i]] * query[i]
+  } else {
+    for (let i = 0; i < dim; i++) s += data[offset + i] * query[i]
+    s *= block.scales[row]
+  }
+  return s
+}
+
+function cosineRow(block, row, query, queryNorm) {
+  const n = block.norms[row]
+  if (!n || !queryNorm) return 0
+  return dotRow(block, row, query) / (n * queryNorm)
+}
+
+function blockBytes(block) {
+  if (!block) return 0
+  return block.data.byteLength + block.norms.byteLength + (block.scales ? block.scales.byteLength : 0)
+}
+
+module.exports = {
+  QUANTIZATIONS,
+  normalizeQuantization,
+  packVectors,
+  hasRow,
+  unpackRow,
+  dotRow,
+  cosineRow,
+  blockBytes,
+}
@@ -1,7 +1,8 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import { Document, Page, pdfjs } from 'react-pdf'
-import { FolderIcon, NoteIcon, SettingsIcon, ExitIcon, CancelIcon, SearchIcon } from './icons.jsx'
+import { FolderIcon, NoteIcon, HistoryIcon, RelatedIcon, SettingsIcon, ExitIcon, CancelIcon, SearchIcon } from './icons.jsx'
 import pdfjsWorker from 'pdfjs-dist/build/pdf.worker.min.mjs?url'
+import 'react-pdf/dist/Page/TextLayer.css'
 
 // Configure PDF.js to use worker but with safer options
 try {
@@ -372,14 +373,293 @@ function NotesCollectionModal({ isOpen, notes, files, onClose, onClearAllNotes }
   )
 }
 
+const EXTRACT_FAILURE_LABELS = {
+  encrypted: '암호화됨',
+  corrupt: '손상된 파일',
+  'no-text': '텍스트 레이어 없음',
+  timeout: '시간 초과',
+  unreadable: '읽을 수 없음',
+  error: '오류',
+}
+
+// Indexing Report Modal
+function IndexReportModal({ isOpen, report, processing, onRetry, onClose }) {
+  if (!isOpen || !report) return null
+  const failedFiles = report.failedFiles || []
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal" style={{ maxWidth: '700px', width: '90%' }}>
+        <div className="modal-header">
+          <div className="modal-title">인덱싱 보고서</div>
+          <button className="modal-close" onClick={onClose}>×</button>
+        </div>
+        <div className="modal-body" style={{ maxHeight: '60vh', overflowY: 'auto' }}>
+          {report.failedChunks > 0 && (
+            <p style={{ fontSize: '12px', color: 'var(--text-muted)', marginTop: 0 }}>
+              임베딩되지 않은 청크 {report.failedChunks}개는 다음 인덱스 업데이트 때 다시 요청합니다.
+            </p>
+          )}
+          {report.truncatedChunks > 0 && (
+            <p style={{ fontSize: '12px', color: 'var(--vscode-errorForeground)', marginTop: 0 }}>
+              청크 {report.truncatedChunks}개가 임베딩 모델의 최대 입력({report.maxInputTokens}토큰)을 넘어 서버에서 잘릴 수 있습니다.
+              {report.tokenCountEstimated && ' (이 모델의 토큰 수는 추정치입니다.)'}
+              설정에서 청크 크기 단위를 토큰으로 바꾸거나 Chunk Size를 줄인 뒤 다시 인덱싱하세요.
+            </p>
+          )}
+          {failedFiles.length === 0 ? (
+            <div style={{ textAlign: 'center', padding: '40px', color: 'var(--text-muted)', fontSize: '13px' }}>
+              건너뛴 파일이 없습니다
+            </div>
+          ) : (
+            <>
+              <p style={{ fontSize: '12px', color: 'var(--text-muted)', marginTop: 0 }}>
+                건너뛴 파일 {failedFiles.length}개 - 파일이 바뀌기 전까지는 인덱스 업데이트에서 제외됩니다.
+              </p>
+              {failedFiles.map((f) => (
+                <div key={f.path} style={{ padding: '6px 0', borderBottom: '1px solid var(--border)', fontSize: '12px' }}>
+                  <div style={{ display: 'flex', justifyContent: 'space-between', gap: '8px' }}>
+                    <span title={f.path} style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                      {f.path.split(/[\\/]/).pop()}
+                    </span>
+                    <span style={{ flexShrink: 0, color: 'var(--vscode-errorForeground)' }}>
+                      {EXTRACT_FAILURE_LABELS[f.reason] || f.reason}
+                    </span>
+                  </div>
+                  {f.message && (
+                    <div style={{ color: 'var(--text-muted)', marginTop: '2px' }}>{f.message}</div>
+                  )}
+                </div>
+              ))}
+            </>
+          )}
+        </div>
+        <div className="modal-footer">
+          <button className="btn btn-secondary" onClick={onClose}>닫기</button>
+          <button className="btn btn-primary" onClick={onRetry} disabled={processing || failedFiles.length === 0}>
+            실패한 파일 다시 시도
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+const EMPTY_SEARCH_FILTERS = {
+  docName: '',
+  folder: '',
+  pageFrom: '',
+  pageTo: '',
+  minScore: '',
+  maxScore: '',
+  yearFrom: '',
+  yearTo: '',
+  tags: '',
+}
+
+const RESULT_SORTS = [
+  { value: 'score', label: '점수' },
+  { value: 'name', label: '문서 이름' },
+  { value: 'page', label: '페이지' },
+  { value: 'date', label: '날짜' },
+]
+
+function countActiveFilters(filters) {
+  return Object.values(filters).filter((v) => String(v).trim() !== '').length
+}
+
+// Structured arguments for the search handler; the document name filter
+// narrows the document list that is sent as documentFilter instead. Single-doc
+// mode only uses the page and score ranges.
+function toSearchFilters(filters, documentMode) {
+  const num = (v) => (String(v).trim() === '' ? null : Number(v))
+  const ranges = {
+    pageFrom: num(filters.pageFrom),
+    pageTo: num(filters.pageTo),
+    minScore: num(filters.minScore),
+    maxScore: num(filters.maxScore),
+  }
+  if (documentMode !== 'multi') return ranges
+  return {
+    ...ranges,
+    folders: filters.folder ? [filters.folder] : [],
+    yearFrom: num(filters.yearFrom),
+    yearTo: num(filters.yearTo),
+    tags: filters.tags.split(',').map((t) => t.trim()).filter(Boolean),
+  }
+}
+
+function sortSearchResults(results, sortBy) {
+  const name = (r) => r.path.split(/[\\/]/).pop()
+  const byPage = (r) => ({ ...r, hits: [...r.hits].sort((a, b) => a.page - b.page) })
+  if (sortBy === 'name') return [...results].sort((a, b) => name(a).localeCompare(name(b)))
+  if (sortBy === 'page') return results.map(byPage)
+  if (sortBy === 'date') {
+    // Publication year from PDF metadata first, file modification time otherwise
+    return [...results].sort((a, b) => (b.metadata?.year || 0) - (a.metadata?.year || 0) || (b.mtimeMs || 0) - (a.mtimeMs || 0))
+  }
+  return results
+}
+
+// Search filter / sort panel shown above the result list
+function SearchFilterPanel({ filters, onChange, sortBy, onSortChange, folders, documentMode }) {
+  const set = (key) => (e) => onChange({ ...filters, [key]: e.target.value })
+  const inputStyle = { fontSize: '12px', padding: '4px 6px' }
+
+  return (
+    <div style={{ marginBottom: '12px', padding: '8px', border: '1px solid var(--border)', borderRadius: '4px', fontSize: '12px' }}>
+      <div className="form-row">
+        {documentMode === 'multi' && (
+          <div className="form-group">
+            <label className="form-label">문서 이름</label>
+            <input className="form-input" style={inputStyle} placeholder="포함할 이름" value={filters.docName} onChange={set('docName')} />
+          </div>
+        )}
+        {documentMode === 'multi' && folders.length > 1 && (
+          <div className="form-group">
+            <label className="form-label">폴더</label>
+            <select className="form-input" style={inputStyle} value={filters.folder} onChange={set('folder')}>
+              <option value="">전체</option>
+              {folders.map((f) => (
+                <option key={f.path} value={f.path}>{f.label}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        <div className="form-group">
+          <label className="form-label">정렬</label>
+          <select className="form-input" style={inputStyle} value={sortBy} onChange={(e) => onSortChange(e.target.value)}>
+            {RESULT_SORTS.map((s) => (
+              <option key={s.value} value={s.value}>{s.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <div className="form-row">
+        <div className="form-group">
+          <label className="form-label">페이지</label>
+          <div style={{ display: 'flex', gap: '4px' }}>
+            <input type="number" className="form-input" style={inputStyle} placeholder="시작" value={filters.pageFrom} onChange={set('pageFrom')} />
+            <input type="number" className="form-input" style={inputStyle} placeholder="끝" value={filters.pageTo} onChange={set('pageTo')} />
+          </div>
+        </div>
+        <div className="form-group">
+          <label className="form-label" title="임베딩 코사인 유사도 (어휘 검색은 BM25, 키워드 검색은 일치 수) 범위, 하이브리드·다중 질의도 융합 점수가 아닌 이 점수로 비교">점수</label>
+          <div style={{ display: 'flex', gap: '4px' }}>
+            <input type="number" step="0.05" className="form-input" style={inputStyle} placeholder="최소" value={filters.minScore} onChange={set('minScore')} />
+            <input type="number" step="0.05" className="form-input" style={inputStyle} placeholder="최대" value={filters.maxScore} onChange={set('maxScore')} />
+          </div>
+        </div>
+      </div>
+      {documentMode === 'multi' && (
+        <div className="form-row">
+          <div className="form-group">
+            <label className="form-label">연도 (PDF 메타데이터)</label>
+            <div style={{ display: 'flex', gap: '4px' }}>
+              <input type="number" className="form-input" style={inputStyle} placeholder="부터" value={filters.yearFrom} onChange={set('yearFrom')} />
+              <input type="number" className="form-input" style={inputStyle} placeholder="까지" value={filters.yearTo} onChange={set('yearTo')} />
+            </div>
+          </div>
+          <div className="form-group">
+            <label className="form-label">태그 (키워드, 쉼표 구분)</label>
+            <input className="form-input" style={inputStyle} value={filters.tags} onChange={set('tags')} />
+          </div>
+        </div>
+      )}
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', color: 'var(--text-muted)' }}>
+        <span>필터는 다음 검색부터 적용됩니다</span>
+        <button className="btn btn-secondary" style={{ fontSize: '11px', padding: '2px 8px' }} onClick={() => onChange(EMPTY_SEARCH_FILTERS)}>
+          초기화
+        </button>
+      </div>
+    </div>
+  )
+}
+
+// "3" or "3–4" for a chunk that continues onto the next page
+function formatPageSpan({ page, pageEnd }) {
+  return pageEnd && pageEnd !== page ? `${page}–${pageEnd}` : `${page}`
+}
+
+// Settings the main process needs (renderer-only ones like perDocN stay here)
+function toBackendSettings(settings) {
+  return {
+    embeddingHost: settings.embeddingHost,
+    embeddingModel: settings.embeddingModel,
+    apiKey: settings.apiKey,
+    chunkSize: settings.chunkSize,
+    chunkOverlap: settings.chunkOverlap,
+    chunkStrategy: settings.chunkStrategy,
+    chunkAcrossPages: settings.chunkAcrossPages,
+    chunkUnit: settings.chunkUnit,
+    tokenizerFamily: settings.tokenizerFamily,
+    embeddingMaxTokens: settings.embeddingMaxTokens,
+    llmHost: settings.llmHost,
+    llmModel: settings.llmModel,
+    llmApiKey: settings.llmApiKey,
+    embeddingCacheLimitMB: settings.embeddingCacheLimitMB,
+    annEnabled: settings.annEnabled,
+    annMinChunks: settings.annMinChunks,
+    annEfSearch: settings.annEfSearch,
+    extractTimeoutSec: settings.extractTimeoutSec,
+    pdfLayout: settings.pdfLayout,
+    embedConcurrency: settings.embedConcurrency,
+    embedMaxRetries: settings.embedMaxRetries,
+    embedRpm: settings.embedRpm,
+    vectorQuantization: settings.vectorQuantization,
+    rerankMethod: settings.rerankMethod,
+    rerankHost: settings.rerankHost,
+    rerankModel: settings.rerankModel,
+    rerankApiKey: settings.rerankApiKey,
+    rerankTimeoutSec: settings.rerankTimeoutSec,
+  }
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return '0 B'
+  const units = ['B', 'KB', 'MB', 'GB']
+  const i = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)))
+  return `${(bytes / Math.pow(1024, i)).toFixed(i === 0 ? 0 : 1)} ${units[i]}`
+}
+
 // Settings Modal
 function SettingsModal({ isOpen, settings, onSave, onClose }) {
   const [localSettings, setLocalSettings] = useState(settings)
+  const [cacheStats, setCacheStats] = useState(null)
+  const [clearingCache, setClearingCache] = useState(false)
+  const [annRecall, setAnnRecall] = useState(null)
+  const [indexStatus, setIndexStatus] = useState(null)
 
   useEffect(() => {
     setLocalSettings(settings)
   }, [settings])
 
+  useEffect(() => {
+    if (!isOpen || !window.api?.getEmbeddingCacheStats) return
+    window.api.getEmbeddingCacheStats().then(setCacheStats).catch(() => setCacheStats(null))
+    window.api.getIndexStatus().then(setIndexStatus).catch(() => setIndexStatus(null))
+  }, [isOpen])
+
+  const handleCheckRecall = async () => {
+    setAnnRecall({ running: true })
+    try {
+      setAnnRecall(await window.api.checkAnnRecall({ sampleSize: 50 }))
+    } catch (error) {
+      setAnnRecall({ error: error.message })
+    }
+  }
+
+  const handleClearCache = async () => {
+    setClearingCache(true)
+    try {
+      setCacheStats(await window.api.clearEmbeddingCache())
+    } catch (error) {
+      console.error('Failed to clear embedding cache:', error)
+    } finally {
+      setClearingCache(false)
+    }
+  }
+
   if (!isOpen) return null
 
   const handleSave = () => {
@@ -452,7 +732,7 @@ function SettingsModal({ isOpen, settings, onSave, onClose }) {
           </div>
           <div className="form-row">
             <div className="form-group">
-              <label className="form-label">Chunk Size</label>
+              <label className="form-label">Chunk Size ({formatChunkUnit(localSettings)})</label>
               <input
                 type="number"
                 className="form-input"
@@ -461,7 +741,7 @@ function SettingsModal({ isOpen, settings, onSave, onClose }) {
               />
             </div>
             <div className="form-group">
-              <label className="form-label">Overlap</label>
+              <label className="form-label">Overlap ({formatChunkUnit(localSettings)})</label>
               <input
                 type="number"
                 className="form-input"
@@ -470,6 +750,115 @@ function SettingsModal({ isOpen, settings, onSave, onClose }) {
               />
             </div>
           </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">청크 크기 단위</label>
+              <select
+                className="form-input"
+                value={localSettings.chunkUnit || 'chars'}
+                onChange={(e) => setLocalSettings({ ...localSettings, chunkUnit: e.target.value })}
+              >
+                <option value="chars">문자</option>
+                <option value="tokens">토큰 (임베딩 모델 토크나이저 기준)</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label className="form-label">토크나이저</label>
+              <select
+                className="form-input"
+                value={localSettings.tokenizerFamily || 'auto'}
+                onChange={(e) => setLocalSettings({ ...localSettings, tokenizerFamily: e.target.value })}
+              >
+                <option value="auto">자동 (모델 이름으로 판단)</option>
+                <option value="cl100k">BPE (OpenAI, Qwen)</option>
+                <option value="wordpiece">WordPiece (BERT, bge, e5, MiniLM)</option>
+                <option value="sentencepiece">SentencePiece (다국어: bge-m3, multilingual-e5, 토큰 수 추정)</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label className="form-label">모델 최대 입력 토큰 (비우면 알려진 기본값)</label>
+              <input
+                type="number"
+                className="form-input"
+                placeholder="자동"
+                value={localSettings.embeddingMaxTokens?.[localSettings.embeddingModel] || ''}
+                onChange={(e) => {
+                  const { [localSettings.embeddingModel]: _, ...others } = localSettings.embeddingMaxTokens || {}
+                  const value = parseInt(e.target.value || '0', 10)
+                  setLocalSettings({ ...localSettings, embeddingMaxTokens: value > 0 ? { ...others, [localSettings.embeddingModel]: value } : others })
+                }}
+              />
+            </div>
+          </div>
+          <div className="form-group">
+            <label className="form-label">청크 분할 방식 (변경 시 다음 전처리에서 재인덱싱)</label>
+            <select
+              className="form-input"
+              value={localSettings.chunkStrategy || 'fixed'}
+              onChange={(e) => setLocalSettings({ ...localSettings, chunkStrategy: e.target.value })}
+            >
+              <option value="fixed">고정 길이 (문자 수)</option>
+              <option value="sentence">문장 단위 + 섹션 제목 인식</option>
+            </select>
+          </div>
+          <div className="form-group">
+            <label className="form-label" style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              <input
+                type="checkbox"
+                checked={!!localSettings.chunkAcrossPages}
+                onChange={(e) => setLocalSettings({ ...localSettings, chunkAcrossPages: e.target.checked })}
+              />
+              페이지 경계를 넘어 청크 분할 (다음 페이지로 이어지는 문단을 한 청크로)
+            </label>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">동시 임베딩 요청 수</label>
+              <input
+                type="number"
+                className="form-input"
+                value={localSettings.embedConcurrency}
+                onChange={(e) => setLocalSettings({ ...localSettings, embedConcurrency: parseInt(e.target.value || '0', 10) })}
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">재시도 횟수 (429/5xx/타임아웃)</label>
+              <input
+                type="number"
+                className="form-input"
+                value={localSettings.embedMaxRetries}
+                onChange={(e) => setLocalSettings({ ...localSettings, embedMaxRetries: parseInt(e.target.value || '0', 10) })}
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">분당 요청 제한 (0 = 무제한)</label>
+              <input
+                type="number"
+                className="form-input"
+                value={localSettings.embedRpm}
+                onChange={(e) => setLocalSettings({ ...localSettings, embedRpm: parseInt(e.target.value || '0', 10) })}
+              />
+            </div>
+          </div>
+          <div className="form-group">
+            <label className="form-label">PDF 추출 제한 시간 (파일당 초)</label>
+            <input
+              type="number"
+              className="form-input"
+              value={localSettings.extractTimeoutSec}
+              onChange={(e) => setLocalSettings({ ...localSettings, extractTimeoutSec: parseInt(e.target.value || '0', 10) })}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label" style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              <input
+                type="checkbox"
+                checked={localSettings.pdfLayout !== false}
+                onChange={(e) => setLocalSettings({ ...localSettings, pdfLayout: e.target.checked })}
+              />
+              레이아웃 분석 (2단 읽기 순서, 머리말·꼬리말·쪽 번호 제거, 줄 끝 하이픈 연결)
+            </label>
+          </div>
           <div className="form-group">
             <label className="form-label">논문별 문맥 수 (n)</label>
             <input
@@ -479,6 +868,224 @@ function SettingsModal({ isOpen, settings, onSave, onClose }) {
               onChange={(e) => setLocalSettings({ ...localSettings, perDocN: parseInt(e.target.value || '0', 10) })}
             />
           </div>
+          <div className="form-group">
+            <label className="form-label">MMR 관련성 비중 (0~1, 낮을수록 다양한 결과)</label>
+            <input
+              type="number"
+              step="0.1"
+              min="0"
+              max="1"
+              className="form-input"
+              value={localSettings.mmrLambda}
+              onChange={(e) => setLocalSettings({ ...localSettings, mmrLambda: parseFloat(e.target.value || '0') })}
+            />
+          </div>
+          <div className="form-group">
+            <label className="form-label">다중 질의 결합 방식</label>
+            <select
+              className="form-input"
+              value={localSettings.queryFusion || 'rrf'}
+              onChange={(e) => setLocalSettings({ ...localSettings, queryFusion: e.target.value })}
+            >
+              <option value="rrf">Reciprocal Rank Fusion</option>
+              <option value="max">최대 점수</option>
+              <option value="mean">평균 점수</option>
+            </select>
+          </div>
+          <div className="form-group">
+            <label className="form-label" style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              <input
+                type="checkbox"
+                checked={!!localSettings.autoExpandQuery}
+                onChange={(e) => setLocalSettings({ ...localSettings, autoExpandQuery: e.target.checked })}
+              />
+              새 질문 검색 전 LLM 질의 확장 (다른 표현, 동의어, 가상 답변 문단)
+            </label>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Hybrid 결합 방식</label>
+              <select
+                className="form-input"
+                value={localSettings.fusionMethod || 'rrf'}
+                onChange={(e) => setLocalSettings({ ...localSettings, fusionMethod: e.target.value })}
+              >
+                <option value="rrf">Reciprocal Rank Fusion</option>
+                <option value="weighted">가중 점수 합</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label className="form-label">Dense 가중치 (0~1, 가중 점수 합)</label>
+              <input
+                type="number"
+                step="0.1"
+                min="0"
+                max="1"
+                className="form-input"
+                value={localSettings.denseWeight}
+                disabled={localSettings.fusionMethod !== 'weighted'}
+                onChange={(e) => setLocalSettings({ ...localSettings, denseWeight: parseFloat(e.target.value || '0') })}
+              />
+            </div>
+          </div>
+          <hr className="modal-divider" />
+          <div className="form-group">
+            <label className="form-label" style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              <input
+                type="checkbox"
+                checked={!!localSettings.rerankEnabled}
+                onChange={(e) => setLocalSettings({ ...localSettings, rerankEnabled: e.target.checked })}
+              />
+              검색 후 상위 후보 재순위화 (Rerank)
+            </label>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">재순위화 방식</label>
+              <select
+                className="form-input"
+                value={localSettings.rerankMethod || 'llm'}
+                disabled={!localSettings.rerankEnabled}
+                onChange={(e) => setLocalSettings({ ...localSettings, rerankMethod: e.target.value })}
+              >
+                <option value="llm">LLM 점수 (위 LLM 설정 사용)</option>
+                <option value="endpoint">/v1/rerank 엔드포인트</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label className="form-label">후보 수 (Top-K)</label>
+              <input
+                type="number"
+                className="form-input"
+                value={localSettings.rerankTopK}
+                disabled={!localSettings.rerankEnabled}
+                onChange={(e) => setLocalSettings({ ...localSettings, rerankTopK: parseInt(e.target.value || '0', 10) })}
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">제한 시간 (초)</label>
+              <input
+                type="number"
+                className="form-input"
+                value={localSettings.rerankTimeoutSec}
+                disabled={!localSettings.rerankEnabled}
+                onChange={(e) => setLocalSettings({ ...localSettings, rerankTimeoutSec: parseInt(e.target.value || '0', 10) })}
+              />
+            </div>
+          </div>
+          {localSettings.rerankEnabled && localSettings.rerankMethod === 'endpoint' && (
+            <>
+              <div className="form-group">
+                <label className="form-label">Rerank API Host</label>
+                <input
+                  className="form-input"
+                  placeholder="http://localhost:8080"
+                  value={localSettings.rerankHost}
+                  onChange={(e) => setLocalSettings({ ...localSettings, rerankHost: e.target.value })}
+                />
+              </div>
+              <div className="form-group">
+                <label className="form-label">Rerank Model</label>
+                <input
+                  className="form-input"
+                  placeholder="bge-reranker-v2-m3"
+                  value={localSettings.rerankModel}
+                  onChange={(e) => setLocalSettings({ ...localSettings, rerankModel: e.target.value })}
+                />
+              </div>
+              <div className="form-group">
+                <label className="form-label">Rerank API Key (optional)</label>
+                <input
+                  className="form-input"
+                  placeholder="sk-..."
+                  value={localSettings.rerankApiKey}
+                  onChange={(e) => setLocalSettings({ ...localSettings, rerankApiKey: e.target.value })}
+                />
+              </div>
+            </>
+          )}
+          <hr className="modal-divider" />
+          <div className="form-group">
+            <label className="form-label">임베딩 캐시 최대 크기 (MB, 0 = 사용 안 함)</label>
+            <input
+              type="number"
+              className="form-input"
+              value={localSettings.embeddingCacheLimitMB}
+              onChange={(e) => setLocalSettings({ ...localSettings, embeddingCacheLimitMB: parseInt(e.target.value || '0', 10) })}
+            />
+          </div>
+          <div className="form-group" style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '8px' }}>
+            <span style={{ fontSize: '12px', color: 'var(--text-muted)' }}>
+              {cacheStats ? `캐시: 임베딩 ${cacheStats.entries}개, ${formatBytes(cacheStats.bytes)}` : '캐시 정보 없음'}
+            </span>
+            <button
+              className="btn btn-secondary"
+              onClick={handleClearCache}
+              disabled={clearingCache || !cacheStats || cacheStats.entries === 0}
+            >
+              캐시 비우기
+            </button>
+          </div>
+          <hr className="modal-divider" />
+          <div className="form-group">
+            <label className="form-label">벡터 저장 방식 (메모리)</label>
+            <select
+              className="form-input"
+              value={localSettings.vectorQuantization || 'none'}
+              onChange={(e) => setLocalSettings({ ...localSettings, vectorQuantization: e.target.value })}
+            >
+              <option value="none">Float32 (정확)</option>
+              <option value="float16">Float16 (메모리 1/2)</option>
+              <option value="int8">Int8 (메모리 1/4)</option>
+            </select>
+            <div style={{ fontSize: '12px', color: 'var(--text-muted)', marginTop: '4px' }}>
+              {indexStatus?.chunkCount
+                ? `현재 벡터 메모리: ${formatBytes(indexStatus.vectorBytes)} (청크 ${indexStatus.chunkCount}개). 양자화 시 상위 후보는 디스크의 원본 벡터로 재채점합니다.`
+                : '양자화 시 상위 후보는 디스크의 원본 벡터로 재채점합니다.'}
+            </div>
+          </div>
+          <hr className="modal-divider" />
+          <div className="form-group">
+            <label className="form-label" style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+              <input
+                type="checkbox"
+                checked={!!localSettings.annEnabled}
+                onChange={(e) => setLocalSettings({ ...localSettings, annEnabled: e.target.checked })}
+              />
+              ANN 인덱스 사용 (대용량 워크스페이스용 근사 검색, HNSW)
+            </label>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">최소 청크 수 (미만이면 정확 검색)</label>
+              <input
+                type="number"
+                className="form-input"
+                value={localSettings.annMinChunks}
+                onChange={(e) => setLocalSettings({ ...localSettings, annMinChunks: parseInt(e.target.value || '0', 10) })}
+              />
+            </div>
+            <div className="form-group">
+              <label className="form-label">검색 ef (클수록 정확, 느림)</label>
+              <input
+                type="number"
+                className="form-input"
+                value={localSettings.annEfSearch}
+                onChange={(e) => setLocalSettings({ ...localSettings, annEfSearch: parseInt(e.target.value || '0', 10) })}
+              />
+            </div>
+          </div>
+          <div className="form-group" style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '8px' }}>
+            <span style={{ fontSize: '12px', color: 'var(--text-muted)' }}>
+              {annRecall?.running && 'Recall 측정 중...'}
+              {annRecall?.error && `오류: ${annRecall.error}`}
+              {annRecall?.recall !== undefined && `Recall@${annRecall.k}: ${(annRecall.recall * 100).toFixed(1)}% (샘플 ${annRecall.sample}개, 노드 ${annRecall.nodes}개)`}
+              {!annRecall && '인덱스 업데이트 후 ANN 인덱스가 생성됩니다'}
+            </span>
+            <button className="btn btn-secondary" onClick={handleCheckRecall} disabled={annRecall?.running}>
+              Recall 측정
+            </button>
+          </div>
         </div>
         <div className="modal-footer">
           <button className="btn btn-secondary" onClick={onClose}>취소</button>
@@ -518,6 +1125,20 @@ function ActivityBar({ activeView, onViewChange, processing, onSettings, onExit
       >
         <NoteIcon size={24} />
       </div>
+      <div 
+        className={`activity-item ${activeView === 'history' ? 'active' : ''}`}
+        onClick={() => onViewChange('history')}
+        title="Search History"
+      >
+        <HistoryIcon size={24} />
+      </div>
+      <div 
+        className={`activity-item ${activeView === 'related' ? 'active' : ''}`}
+        onClick={() => onViewChange('related')}
+        title="Related Papers"
+      >
+        <RelatedIcon size={24} />
+      </div>
       <div style={{ flex: 1 }} />
       <div 
         className="activity-item"
@@ -537,6 +1158,169 @@ function ActivityBar({ activeView, onViewChange, processing, onSettings, onExit
   )
 }
 
+const RETRIEVAL_MODE_LABELS = { dense: 'Dense', lexical: 'BM25', hybrid: 'Hybrid', keyword: 'Keyword' }
+const SEARCH_KIND_LABELS = { exhaustive: 'Exhaustive', similar: '비슷한 문단' }
+
+// Search history / saved searches (activity bar view)
+function SearchHistoryView({ entries, onRun, onTogglePin, onRename, onDelete, onClear }) {
+  const [editingId, setEditingId] = useState(null)
+  const [editName, setEditName] = useState('')
+  const saved = entries.filter((e) => e.pinned)
+  const recent = entries.filter((e) => !e.pinned)
+
+  const startRename = (entry) => {
+    setEditingId(entry.id)
+    setEditName(entry.name || entry.query)
+  }
+  const finishRename = () => {
+    if (editingId) onRename(editingId, editName)
+    setEditingId(null)
+  }
+
+  const renderEntry = (entry) => (
+    <div key={entry.id} className="file-item" style={{ display: 'block', padding: '6px 8px', height: 'auto' }}>
+      {editingId === entry.id ? (
+        <input
+          className="form-input"
+          style={{ fontSize: '12px', padding: '2px 4px' }}
+          autoFocus
+          value={editName}
+          onChange={(e) => setEditName(e.target.value)}
+          onBlur={finishRename}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') finishRename()
+            if (e.key === 'Escape') setEditingId(null)
+          }}
+        />
+      ) : (
+        <div
+          className="file-name"
+          style={{ cursor: 'pointer', fontWeight: entry.name ? 'bold' : 'normal' }}
+          title={`${entry.query}\n다시 실행`}
+          onClick={() => onRun(entry)}
+        >
+          {entry.name || entry.query}
+        </div>
+      )}
+      <div style={{ fontSize: '10px', color: 'var(--text-muted)', marginTop: '2px' }}>
+        {entry.name && <div className="text-truncate">{entry.query}</div>}
+        {entry.mode === 'single' && entry.documentFilter ? `Single · ${entry.documentFilter[0].split(/[\\/]/).pop()}` : entry.mode === 'single' ? 'Single' : 'Multi'}
+        {' · '}{SEARCH_KIND_LABELS[entry.kind] || RETRIEVAL_MODE_LABELS[entry.retrievalMode] || entry.retrievalMode}
+        {' · '}{entry.resultCount}개 문서
+        {' · '}{new Date(entry.timestamp).toLocaleString()}
+      </div>
+      <div style={{ display: 'flex', gap: '4px', marginTop: '4px' }}>
+        <button className="btn btn-secondary" style={{ fontSize: '10px', padding: '1px 6px' }} onClick={() => onRun(entry)} title="다시 실행">
+          ▶ 실행
+        </button>
+        <button className="btn btn-secondary" style={{ fontSize: '10px', padding: '1px 6px' }} onClick={() => onTogglePin(entry)} title={entry.pinned ? '저장 해제' : '저장'}>
+          {entry.pinned ? '📌 해제' : '📌 저장'}
+        </button>
+        <button className="btn btn-secondary" style={{ fontSize: '10px', padding: '1px 6px' }} onClick={() => startRename(entry)} title="이름 지정">
+          ✎
+        </button>
+        <button className="btn btn-secondary" style={{ fontSize: '10px', padding: '1px 6px' }} onClick={() => onDelete(entry)} title="삭제">
+          🗑️
+        </button>
+      </div>
+    </div>
+  )
+
+  return (
+    <div className="sidebar-content">
+      <div className="file-tree">
+        <div className="file-tree-header">
+          <span>저장된 검색 ({saved.length})</span>
+        </div>
+        {saved.length === 0 ? (
+          <div className="notes-placeholder">📌 저장을 누르면 여기에 고정됩니다</div>
+        ) : saved.map(renderEntry)}
+        <div className="file-tree-header" style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '8px' }}>
+          <span>최근 검색 ({recent.length})</span>
+          {recent.length > 0 && (
+            <button className="btn btn-secondary" style={{ fontSize: '10px', padding: '1px 6px' }} onClick={onClear} title="저장되지 않은 기록 삭제">
+              비우기
+            </button>
+          )}
+        </div>
+        {recent.length === 0 ? (
+          <div className="notes-placeholder">검색 기록이 없습니다</div>
+        ) : recent.map(renderEntry)}
+      </div>
+    </div>
+  )
+}
+
+// Papers nearest to the open document, with the chunk pairs behind each match
+function RelatedDocumentsView({ activeDoc, related, onOpen }) {
+  const fileName = (p) => (p || '').split(/[\\/]/).pop()
+  const preview = (text) => (text.length > 140 ? `${text.slice(0, 140)}…` : text)
+
+  let body
+  if (!activeDoc) {
+    body = <div className="notes-placeholder">문서를 열면 관련 문서를 보여줍니다</div>
+  } else if (related.docId !== activeDoc) {
+    body = <div className="notes-placeholder">인덱싱이 끝나면 관련 문서를 보여줍니다</div>
+  } else if (related.loading) {
+    body = <div className="notes-placeholder">관련 문서를 찾는 중...</div>
+  } else if (related.error) {
+    body = <div className="notes-placeholder">{related.error}</div>
+  } else if (related.items.length === 0) {
+    body = <div className="notes-placeholder">비교할 다른 문서가 없습니다</div>
+  } else {
+    body = related.items.map((item) => (
+      <div key={item.docId} className="file-item" style={{ display: 'block', padding: '6px 8px', height: 'auto' }}>
+        <div
+          className="file-name"
+          style={{ cursor: 'pointer' }}
+          title={`${item.path}\n열기`}
+          onClick={() => onOpen(item.path, item.pairs[0]?.target.page || 1, item.pairs[0]?.target.text || '', item.pairs[0]?.target.boxes)}
+        >
+          {item.metadata?.title || fileName(item.path)}
+        </div>
+        <div style={{ fontSize: '10px', color: 'var(--text-muted)', marginTop: '2px' }}>
+          유사도 {item.score.toFixed(3)}
+          {item.metadata?.year ? ` · ${item.metadata.year}` : ''}
+          {item.metadata?.title ? ` · ${fileName(item.path)}` : ''}
+        </div>
+        {item.pairs.map((pair) => (
+          <div
+            key={`${pair.source.id}|${pair.target.id}`}
+            style={{ fontSize: '11px', marginTop: '4px', paddingLeft: '6px', borderLeft: '2px solid var(--border)' }}
+          >
+            <div style={{ color: 'var(--text-muted)', fontSize: '10px' }}>
+              <span style={{ cursor: 'pointer' }} title="이 문서에서 보기" onClick={() => onOpen(activeDoc, pair.source.page, pair.source.text, pair.source.boxes)}>
+                p.{formatPageSpan(pair.source)}
+              </span>
+              {' ↔ '}
+              <span style={{ cursor: 'pointer' }} title="관련 문서에서 보기" onClick={() => onOpen(item.path, pair.target.page, pair.target.text, pair.target.boxes)}>
+                p.{formatPageSpan(pair.target)}{pair.target.section && ` §${pair.target.section}`}
+              </span>
+              {` · ${pair.score.toFixed(3)}`}
+            </div>
+            <div style={{ cursor: 'pointer' }} title="관련 문서에서 보기" onClick={() => onOpen(item.path, pair.target.page, pair.target.text, pair.target.boxes)}>
+              {preview(pair.target.text)}
+            </div>
+          </div>
+        ))}
+      </div>
+    ))
+  }
+
+  return (
+    <div className="sidebar-content">
+      <div className="file-tree">
+        <div className="file-tree-header">
+          <span className="text-truncate" title={activeDoc || ''}>
+            관련 문서{activeDoc ? ` · ${fileName(activeDoc)}` : ''}
+          </span>
+        </div>
+        {body}
+      </div>
+    </div>
+  )
+}
+
 // Sidebar Content
 function SidebarContent({
   view,
@@ -550,7 +1334,11 @@ function SidebarContent({
   documentMode,
   onDocumentModeChange,
   selectedDocument,
-  onDocumentSelect
+  onDocumentSelect,
+  searchHistory,
+  historyHandlers,
+  relatedDocs,
+  onOpenRelated
 }) {
   if (view === 'files') {
     return (
@@ -630,6 +1418,14 @@ function SidebarContent({
     )
   }
 
+  if (view === 'history') {
+    return <SearchHistoryView entries={searchHistory} {...historyHandlers} />
+  }
+
+  if (view === 'related') {
+    return <RelatedDocumentsView activeDoc={activeDoc} related={relatedDocs} onOpen={onOpenRelated} />
+  }
+
   if (view === 'notes') {
     const noteValue = activeDoc ? notes[activeDoc] || '' : ''
     const hasAnyNotes = Object.values(notes).some(note => note && note.trim())
@@ -773,125 +1569,32 @@ const pdfOptions = {
   useWorkerFetch: false
 }
 
-// Function to find text coordinates in PDF with improved coordinate transformation
-async function findTextCoordinates(pdfDocument, pageNumber, searchText) {
-  try {
-    if (!pdfDocument || !searchText) return null
-    
-    const page = await pdfDocument.getPage(pageNumber)
-    const viewport = page.getViewport({ scale: 1 })
-    const textContent = await page.getTextContent()
-    
-    // Normalize search text for comparison
-    const normalizedSearchText = searchText.replace(/\s+/g, ' ').trim().toLowerCase()
-    
-    console.log('Searching for:', normalizedSearchText)
-    
-    // Build continuous text with position mapping
-    let fullText = ''
-    const textItems = []
-    
-    textContent.items.forEach((item, index) => {
-      if (item.str && item.str.trim()) {
-        const startIndex = fullText.length
-        fullText += item.str
-        const endIndex = fullText.length
-        
-        // Use simpler coordinate transformation
-        // item.transform = [a, b, c, d, e, f] where e,f are x,y coordinates
-        const transform = item.transform
-        const x = transform[4]  // Direct x coordinate
-        const y = transform[5]  // Direct y coordinate
-        
-        // Calculate font height from transform matrix
-        const fontHeight = Math.sqrt(transform[2] * transform[2] + transform[3] * transform[3])
-        const fontWidth = Math.sqrt(transform[0] * transform[0] + transform[1] * transform[1])
-        
-        // Convert PDF coordinates to viewport coordinates
-        const viewportX = x
-        const viewportY = viewport.height - y - fontHeight // Flip Y and adjust for font height
-        
-        // Ensure coordinates are within viewport bounds
-        if (viewportX >= 0 && viewportX < viewport.width && 
-            viewportY >= 0 && viewportY < viewport.height) {
-          
-          textItems.push({
-            text: item.str,
-            startIndex,
-            endIndex,
-            x: viewportX,
-            y: viewportY,
-            width: item.width || (item.str.length * fontWidth * 0.6), // Fallback width calculation
-            height: fontHeight,
-            originalItem: item
-          })
-        }
-        
-        // Add space after each item for word separation
-        if (index < textContent.items.length - 1) {
-          fullText += ' '
-        }
-      }
-    })
-    
-    console.log('Built full text:', fullText.substring(0, 200) + '...')
-    console.log('Total text items:', textItems.length)
-    
-    // Find the search text in the full text using fuzzy matching
-    const normalizedFullText = fullText.replace(/\s+/g, ' ').toLowerCase()
-    let searchIndex = normalizedFullText.indexOf(normalizedSearchText)
-    
-    // Try fuzzy matching if exact match fails
-    if (searchIndex === -1) {
-      // Try without punctuation
-      const cleanSearchText = normalizedSearchText.replace(/[^\w가-힣\s]/g, '').trim()
-      const cleanFullText = normalizedFullText.replace(/[^\w가-힣\s]/g, '')
-      searchIndex = cleanFullText.indexOf(cleanSearchText)
-      
-      if (searchIndex === -1) {
-        console.warn('Text not found:', normalizedSearchText)
-        return null
-      }
-    }
-    
-    console.log('Found text at index:', searchIndex)
-    
-    // Find which text items contain our search text
-    const searchEndIndex = searchIndex + normalizedSearchText.length
-    const relevantItems = textItems.filter(item => 
-      item.startIndex <= searchEndIndex && item.endIndex >= searchIndex
-    )
-    
-    console.log('Relevant items:', relevantItems.length)
-    
-    if (relevantItems.length === 0) return null
-    
-    // Create individual bounding boxes for better text coverage
-    const boundingBoxes = relevantItems.map(item => ({
-      x: Math.max(0, item.x), // Ensure non-negative
-      y: Math.max(0, item.y), // Ensure non-negative  
-      width: Math.max(8, item.width), // Minimum width
-      height: Math.max(12, item.height), // Minimum height
-      text: item.text
-    }))
-    
-    console.log('Created bounding boxes:', boundingBoxes)
-    
-    return {
-      pageNumber,
-      boundingBoxes: boundingBoxes,
-      searchText: normalizedSearchText,
-      viewport: { width: viewport.width, height: viewport.height }
-    }
-    
-  } catch (error) {
-    console.warn('Error finding text coordinates:', error)
-    return null
+// Chunk size unit label; SentencePiece counts are estimates (see app/tokenizer.js)
+function formatChunkUnit(settings) {
+  if (settings.chunkUnit !== 'tokens') return '문자'
+  return settings.tokenizerFamily === 'sentencepiece' ? '추정 토큰' : '토큰'
+}
+
+// Summarize incremental indexing counts for status messages
+function formatIndexChanges(changes) {
+  if (!changes) return ''
+  return ` (추가 ${changes.added}, 변경 ${changes.updated}, 삭제 ${changes.removed}, 유지 ${changes.unchanged}${changes.skipped ? `, 건너뜀 ${changes.skipped}` : ''})`
+}
+
+// Chunk boxes recorded at index time ([{ page, x, y, width, height }] in
+// viewport space at scale 1) grouped into one highlight entry per page
+function boxesToCoordinates(boxes) {
+  if (!boxes || boxes.length === 0) return null
+  const byPage = new Map()
+  for (const { page, x, y, width, height } of boxes) {
+    if (!byPage.has(page)) byPage.set(page, [])
+    byPage.get(page).push({ x, y, width, height })
   }
+  return Array.from(byPage, ([pageNumber, boundingBoxes]) => ({ pageNumber, boundingBoxes }))
 }
 
 // PDF Viewer Component
-function PDFViewer({ filePath, page, snippet, query }) {
+function PDFViewer({ filePath, page, snippet, boxes, query, onFindSimilar }) {
   const containerRef = useRef(null)
   const [containerWidth, setContainerWidth] = useState(600)
   const [fileUrl, setFileUrl] = useState(null)
@@ -905,8 +1608,11 @@ function PDFViewer({ filePath, page, snippet, query }) {
   const loadingTaskRef = useRef(null)
   const previousFileRef = useRef(null)
   
-  // State for coordinate-based highlighting
-  const [textCoordinates, setTextCoordinates] = useState(null)
+  // Coordinate-based highlighting: one entry per page the snippet covers
+  const textCoordinates = useMemo(() => boxesToCoordinates(boxes), [boxes])
+
+  // Text selected in the text layer: { text, page, x, y } for the "find similar" button
+  const [selectionAction, setSelectionAction] = useState(null)
   
   // Zoom state
   const [scale, setScale] = useState(null) // null means fit-to-width
@@ -954,33 +1660,6 @@ function PDFViewer({ filePath, page, snippet, query }) {
     return new RegExp(`(${escaped.join('|')})`, 'gi')
   }, [highlightTerms])
 
-  // Find text coordinates when snippet changes and scroll to position
-  useEffect(() => {
-    async function searchTextCoordinates() {
-      if (!documentRef.current || !page || !snippet) {
-        setTextCoordinates(null)
-        return
-      }
-      
-      try {
-        const coords = await findTextCoordinates(documentRef.current, page, snippet)
-        setTextCoordinates(coords)
-        
-        // Scroll to the highlighted text position after coordinates are found
-        if (coords && coords.boundingBoxes && coords.boundingBoxes.length > 0) {
-          setTimeout(() => {
-            scrollToHighlight(coords)
-          }, 300) // Wait for highlight to render
-        }
-      } catch (error) {
-        console.warn('Failed to find text coordinates:', error)
-        setTextCoordinates(null)
-      }
-    }
-    
-    searchTextCoordinates()
-  }, [snippet, page, documentKey])
-  
   // Function to scroll to highlight position within the page
   const scrollToHighlight = useCallback((coords) => {
     if (!containerRef.current || !coords || !coords.boundingBoxes) return
@@ -1008,6 +1687,13 @@ function PDFViewer({ filePath, page, snippet, query }) {
     console.log('Scrolled to highlight at page', coords.pageNumber, 'position', highlightY)
   }, [scale, containerWidth, actualPageWidth])
 
+  // Scroll to the highlight once the document is loaded and when the snippet changes
+  useEffect(() => {
+    if (!numPages || !textCoordinates) return
+    const timer = setTimeout(() => scrollToHighlight(textCoordinates[0]), 500) // Wait for pages and highlights to render
+    return () => clearTimeout(timer)
+  }, [textCoordinates, numPages, documentKey])
+
   // Force re-render of text layer when highlight terms change (but not on scale change)
   useEffect(() => {
     if (createFuzzyMatcher) {
@@ -1315,6 +2001,22 @@ function PDFViewer({ filePath, page, snippet, query }) {
   }, [fileUrl, pdfError, handleZoomIn, handleZoomOut, handleZoomReset])
   
 
+  const handleTextSelection = useCallback(() => {
+    const selection = window.getSelection()
+    const text = selection?.toString().replace(/\s+/g, ' ').trim()
+    if (!onFindSimilar || !text || text.length < 20 || !containerRef.current?.contains(selection.anchorNode)) {
+      setSelectionAction(null)
+      return
+    }
+    const pageEl = selection.anchorNode.parentElement?.closest('.react-pdf__Page')
+    const rect = selection.getRangeAt(0).getBoundingClientRect()
+    setSelectionAction({ text, page: Number(pageEl?.dataset.pageNumber) || null, x: rect.left, y: rect.bottom + 4 })
+  }, [onFindSimilar])
+
+  useEffect(() => {
+    setSelectionAction(null)
+  }, [filePath])
+
   // Cleanup zoom timers
   useEffect(() => {
     return () => {
@@ -1374,10 +2076,10 @@ function PDFViewer({ filePath, page, snippet, query }) {
 
   // Coordinate-based highlight overlay component with improved positioning
   const CoordinateHighlightOverlay = ({ coords, scale, containerWidth, actualPageWidth }) => {
-    if (!coords || coords.pageNumber !== page) return null
+    if (!coords) return null
     
     const currentScale = scale || (containerWidth / actualPageWidth)
-    const { boundingBoxes, viewport } = coords
+    const { boundingBoxes } = coords
     
     if (!boundingBoxes || boundingBoxes.length === 0) return null
     
@@ -1394,7 +2096,6 @@ function PDFViewer({ filePath, page, snippet, query }) {
       // Check if box is within reasonable bounds
       return scaledX >= 0 && scaledY >= 0 && 
              scaledX < containerWidth * 2 && // Allow some overflow for zoom
-             scaledY < viewport.height * currentScale * 2 &&
              scaledWidth > 0 && scaledHeight > 0
     })
     
@@ -1452,7 +2153,7 @@ function PDFViewer({ filePath, page, snippet, query }) {
                 pointerEvents: 'none',
                 zIndex: 10
               }}
-              title={`Highlight ${index + 1}: "${box.text}"`}
+              title={`Highlight ${index + 1}`}
             />
           )
         })}
@@ -1559,7 +2260,27 @@ function PDFViewer({ filePath, page, snippet, query }) {
         </div>
       )}
       
-      <div ref={containerRef} className={`pdf-content${isZooming ? ' zooming' : ''}`} style={{ 
+      {selectionAction && (
+        <button
+          className="btn btn-primary"
+          style={{ position: 'fixed', left: selectionAction.x, top: selectionAction.y, zIndex: 1000, fontSize: '11px', padding: '2px 8px' }}
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => {
+            onFindSimilar({ text: selectionAction.text, docId: filePath, page: selectionAction.page })
+            setSelectionAction(null)
+          }}
+          title="선택한 문장과 비슷한 내용을 워크스페이스에서 찾습니다"
+        >
+          비슷한 문단 찾기
+        </button>
+      )}
+
+      <div
+        ref={containerRef}
+        className={`pdf-content${isZooming ? ' zooming' : ''}`}
+        onMouseUp={handleTextSelection}
+        onScroll={() => selectionAction && setSelectionAction(null)}
+        style={{ 
         flex: 1, 
         overflow: 'auto',
         position: 'relative',
@@ -1601,25 +2322,6 @@ function PDFViewer({ filePath, page, snippet, query }) {
                   }
                 }, 500)
               }
-              
-              // Trigger text coordinate search after document is loaded
-              if (snippet && page) {
-                setTimeout(async () => {
-                  try {
-                    const coords = await findTextCoordinates(pdf, page, snippet)
-                    setTextCoordinates(coords)
-                    
-                    // Scroll to highlight after finding coordinates
-                    if (coords && coords.boundingBoxes && coords.boundingBoxes.length > 0) {
-                      setTimeout(() => {
-                        scrollToHighlight(coords)
-                      }, 500) // Wait for pages and highlights to render
-                    }
-                  } catch (error) {
-                    console.warn('Failed to find text coordinates on load:', error)
-                  }
-                }, 1000) // Wait longer for pages to render
-              }
             }}
             onLoadError={(err) => {
               console.error('PDF load error:', err)
@@ -1696,7 +2398,7 @@ function PDFViewer({ filePath, page, snippet, query }) {
                     pageNumber={pageNum}
                     width={scale ? undefined : containerWidth}
                     scale={scale || undefined}
-                    renderTextLayer={false} // Disable text layer to avoid conflicts with coordinate highlighting
+                    renderTextLayer // Transparent, for text selection; highlights come from the coordinate overlay
                     renderAnnotationLayer={false}
                     onRenderSuccess={() => {
                       // Page rendered successfully
@@ -1741,9 +2443,9 @@ function PDFViewer({ filePath, page, snippet, query }) {
                     }
                   />
                   {/* Add coordinate-based highlight overlay */}
-                  {textCoordinates && textCoordinates.pageNumber === pageNum && (
+                  {textCoordinates && textCoordinates.some(c => c.pageNumber === pageNum) && (
                     <CoordinateHighlightOverlay
-                      coords={textCoordinates}
+                      coords={textCoordinates.find(c => c.pageNumber === pageNum)}
                       scale={scale}
                       containerWidth={containerWidth}
                       actualPageWidth={actualPageWidth}
@@ -1808,16 +2510,54 @@ export default function App() {
   // State Management
   const [workspace, setWorkspace] = useState(null)
   const [files, setFiles] = useState([])
+  const [searchFilters, setSearchFilters] = useState(EMPTY_SEARCH_FILTERS)
+  const [resultSort, setResultSort] = useState('score')
+  const [showFilters, setShowFilters] = useState(false)
+  const [searchHistory, setSearchHistory] = useState([])
+  const [pendingHistoryRun, setPendingHistoryRun] = useState(null)
+  const [expandingQuery, setExpandingQuery] = useState(false)
+  const [relatedDocs, setRelatedDocs] = useState({ docId: null, items: [], loading: false, error: null })
   const [settings, setSettings] = useState({
     embeddingHost: '',
     embeddingModel: '',
     apiKey: '',
     chunkSize: 1200,
     chunkOverlap: 200,
+    chunkStrategy: 'fixed',
+    chunkAcrossPages: false,
+    chunkUnit: 'chars',
+    tokenizerFamily: 'auto',
+    embeddingMaxTokens: {},
     perDocN: 3,
+    retrievalMode: 'dense', // dense | lexical | hybrid
+    resultMode: 'perDoc', // perDoc | topK | threshold | mmr
+    globalTopK: 20,
+    minScore: 0.5,
+    mmrLambda: 0.7, // 1 = relevance only, 0 = diversity only
+    fusionMethod: 'rrf', // rrf | weighted (hybrid only)
+    denseWeight: 0.5,
+    queryFusion: 'rrf', // max | mean | rrf (multi-query)
+    autoExpandQuery: false, // LLM query expansion before each new search
+    rerankEnabled: false,
+    rerankMethod: 'llm', // llm | endpoint (/v1/rerank)
+    rerankHost: '',
+    rerankModel: '',
+    rerankApiKey: '',
+    rerankTopK: 20,
+    rerankTimeoutSec: 60,
     llmHost: '',
     llmModel: '',
     llmApiKey: '',
+    embeddingCacheLimitMB: 1024,
+    annEnabled: false,
+    annMinChunks: 20000,
+    annEfSearch: 128,
+    extractTimeoutSec: 120,
+    pdfLayout: true,
+    embedConcurrency: 4,
+    embedMaxRetries: 4,
+    embedRpm: 0,
+    vectorQuantization: 'none',
   })
   const [lastEmbedConfig, setLastEmbedConfig] = useState(null)
 
@@ -1828,8 +2568,12 @@ export default function App() {
   // Multi-Doc State - automatically includes all documents
   const [multiDocState, setMultiDocState] = useState({
     query: '',
+    subQueries: [], // extra phrasings searched together with query
+    expandedFor: null, // query the LLM expansion in subQueries was generated from
     results: [],
     status: null,
+    feedback: {}, // hit id -> 1 (relevant) | -1 (not relevant), used by refine
+    rerankRunning: false,
     exhaustiveSearchRunning: false,
     exhaustiveSearchProgress: null,
     exhaustiveSearchResults: { relevant: [], nonRelevant: [], uncertain: [] },
@@ -1841,8 +2585,12 @@ export default function App() {
   const [singleDocState, setSingleDocState] = useState({
     selectedDocument: null,
     query: '',
+    subQueries: [], // extra phrasings searched together with query
+    expandedFor: null, // query the LLM expansion in subQueries was generated from
     results: [],
     status: null,
+    feedback: {}, // hit id -> 1 (relevant) | -1 (not relevant), used by refine
+    rerankRunning: false,
     exhaustiveSearchRunning: false,
     exhaustiveSearchProgress: null,
     exhaustiveSearchResults: { relevant: [], nonRelevant: [], uncertain: [] },
@@ -1854,11 +2602,14 @@ export default function App() {
   const [activeDoc, setActiveDoc] = useState(null)
   const [activePage, setActivePage] = useState(null)
   const [activeSnippet, setActiveSnippet] = useState('')
+  const [activeBoxes, setActiveBoxes] = useState([])
   const [activeSnippetCoords, setActiveSnippetCoords] = useState(null)
   const [notes, setNotes] = useState({})
   const [showSettings, setShowSettings] = useState(false)
   const [showNotesCollection, setShowNotesCollection] = useState(false)
   const [showClearNotesConfirm, setShowClearNotesConfirm] = useState(false)
+  const [indexReport, setIndexReport] = useState(null) // { failedFiles, failedChunks } of the last run
+  const [showIndexReport, setShowIndexReport] = useState(false)
   
   // UI State
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false)
@@ -1872,8 +2623,12 @@ export default function App() {
   // Convenience getters for current mode
   const selectedDocument = singleDocState.selectedDocument
   const query = currentState.query
+  const subQueries = currentState.subQueries
+  const expandedFor = currentState.expandedFor
   const results = currentState.results
   const status = currentState.status
+  const rerankRunning = currentState.rerankRunning
+  const feedback = currentState.feedback
   const exhaustiveSearchRunning = currentState.exhaustiveSearchRunning
   const exhaustiveSearchProgress = currentState.exhaustiveSearchProgress
   const exhaustiveSearchResults = currentState.exhaustiveSearchResults
@@ -1889,6 +2644,22 @@ export default function App() {
     }
   }, [documentMode])
 
+  const setSubQueries = useCallback((value) => {
+    if (documentMode === 'multi') {
+      setMultiDocState(prev => ({ ...prev, subQueries: value }))
+    } else {
+      setSingleDocState(prev => ({ ...prev, subQueries: value }))
+    }
+  }, [documentMode])
+
+  const setExpandedFor = useCallback((value) => {
+    if (documentMode === 'multi') {
+      setMultiDocState(prev => ({ ...prev, expandedFor: value }))
+    } else {
+      setSingleDocState(prev => ({ ...prev, expandedFor: value }))
+    }
+  }, [documentMode])
+
   const setResults = useCallback((value) => {
     if (documentMode === 'multi') {
       setMultiDocState(prev => ({ ...prev, results: value }))
@@ -1905,6 +2676,22 @@ export default function App() {
     }
   }, [documentMode])
 
+  const setFeedback = useCallback((value) => {
+    if (documentMode === 'multi') {
+      setMultiDocState(prev => ({ ...prev, feedback: value }))
+    } else {
+      setSingleDocState(prev => ({ ...prev, feedback: value }))
+    }
+  }, [documentMode])
+
+  const setRerankRunning = useCallback((value) => {
+    if (documentMode === 'multi') {
+      setMultiDocState(prev => ({ ...prev, rerankRunning: value }))
+    } else {
+      setSingleDocState(prev => ({ ...prev, rerankRunning: value }))
+    }
+  }, [documentMode])
+
   const setExhaustiveSearchRunning = useCallback((value) => {
     if (documentMode === 'multi') {
       setMultiDocState(prev => ({ ...prev, exhaustiveSearchRunning: value }))
@@ -1966,8 +2753,17 @@ export default function App() {
       setWorkspace(result.root)
       setFiles(result.files)
       await window.api.setIncludeFiles(result.files)
-      setProcessed(false)
-      setStatus(`워크스페이스 설정 완료 (${result.files.length}개 PDF)`)
+      setSearchHistory(await window.api.getSearchHistory())
+      if (result.index) {
+        // A saved index was restored - no need to re-embed
+        setProcessed(true)
+        setIndexReport({ failedFiles: result.index.failedFiles || [], failedChunks: result.index.unembeddedChunks || 0 })
+        setStatus(`워크스페이스 설정 완료 (${result.files.length}개 PDF, 저장된 인덱스: 문서 ${result.index.docCount}개, 청크 ${result.index.chunkCount}개)`)
+      } else {
+        setProcessed(false)
+        setIndexReport(null)
+        setStatus(`워크스페이스 설정 완료 (${result.files.length}개 PDF)`)
+      }
     } catch (error) {
       setStatus(`오류: ${error.message}`)
     }
@@ -1981,16 +2777,7 @@ export default function App() {
       localStorage.setItem('litnav.settings', JSON.stringify(newSettings))
     } catch {}
     
-    await window.api.setSettings({
-      embeddingHost: newSettings.embeddingHost,
-      embeddingModel: newSettings.embeddingModel,
-      apiKey: newSettings.apiKey,
-      chunkSize: newSettings.chunkSize,
-      chunkOverlap: newSettings.chunkOverlap,
-      llmHost: newSettings.llmHost,
-      llmModel: newSettings.llmModel,
-      llmApiKey: newSettings.llmApiKey,
-    })
+    await window.api.setSettings(toBackendSettings(newSettings))
     
     if (hostChanged) {
       setProcessed(false)
@@ -1999,18 +2786,20 @@ export default function App() {
   }
 
 
-  const preprocess = async () => {
+  // retryFailed also re-extracts files the last runs skipped
+  const preprocess = async ({ retryFailed = false } = {}) => {
     try {
       setProcessing(true)
       setProcessed(false)
       setProgressData({ phase: 'extract', current: 0, total: files.length })
       setStatus('전처리 시작')
       
-      const result = await window.api.preprocess()
+      const result = await window.api.preprocess({ retryFailed })
       setProcessing(false)
       setProcessed(true)
       setProgressData(null)
-      setStatus(`완료: 문서 ${result.docCount}개, 청크 ${result.chunkCount}개`)
+      setIndexReport({ failedFiles: result.failedFiles || [], failedChunks: result.failedChunks || 0, truncatedChunks: result.truncatedChunks || 0, maxInputTokens: result.maxInputTokens, tokenCountEstimated: !!result.tokenCountEstimated })
+      setStatus(`완료: 문서 ${result.docCount}개, 청크 ${result.chunkCount}개${formatIndexChanges(result.changes)}${result.failedFiles?.length ? `, 건너뛴 파일 ${result.failedFiles.length}개` : ''}${result.failedChunks ? `, 임베딩 실패 ${result.failedChunks}개 (Update Index로 재시도)` : ''}${result.truncatedChunks ? `, 최대 입력(${result.maxInputTokens}토큰) 초과 청크 ${result.truncatedChunks}개` : ''}${result.cacheHits ? `, 캐시 사용 ${result.cacheHits}개` : ''}${result.annRecall ? `, ANN recall@${result.annRecall.k} ${(result.annRecall.recall * 100).toFixed(1)}%` : ''}`)
     } catch (error) {
       setProcessing(false)
       setProgressData(null)
@@ -2018,38 +2807,237 @@ export default function App() {
     }
   }
 
-  const runSearch = async () => {
+  // Paraphrases, a synonym query and a HyDE passage become editable sub-queries
+  const expandQuery = async (baseQuery) => {
+    setExpandingQuery(true)
+    let expansion
+    try {
+      expansion = await window.api.expandQuery({ query: baseQuery, mode: documentMode })
+    } finally {
+      setExpandingQuery(false)
+    }
+    const expanded = [
+      ...expansion.paraphrases,
+      expansion.synonyms.length > 0 ? `${baseQuery} ${expansion.synonyms.join(' ')}` : null,
+      expansion.hypothetical,
+    ].filter(Boolean)
+    setSubQueries(expanded)
+    setExpandedFor(baseQuery)
+    return expanded
+  }
+
+  const cancelExpandQuery = async () => {
+    try {
+      await window.api.cancelExpandQuery({ mode: documentMode })
+    } catch (error) {
+      console.error('Error cancelling query expansion:', error)
+    }
+  }
+
+  const handleExpandQuery = async () => {
+    if (!query.trim()) return
+    setStatus('질의 확장 중...')
+    try {
+      const expanded = await expandQuery(query.trim())
+      setStatus(`질의 확장 완료: ${expanded.length}개 (수정 후 검색할 수 있습니다)`)
+    } catch (error) {
+      setStatus(error?.message?.includes('취소') ? '질의 확장을 취소했습니다.' : `오류: ${error.message}`)
+    }
+  }
+
+  // Thumbs on search hits plus exhaustive search classifications the user
+  // confirmed; thumbs win when both mention the same chunk
+  const collectFeedback = () => {
+    const votes = new Map()
+    const { relevant = [], nonRelevant = [] } = exhaustiveSearchResults
+    for (const r of [...relevant, ...nonRelevant]) {
+      if (r.confirmed) votes.set(`${r.docId}::${r.chunkId}`, r.classification === 1 ? 1 : -1)
+    }
+    for (const [id, vote] of Object.entries(feedback)) votes.set(id, vote)
+    const ids = [...votes.keys()]
+    return {
+      positive: ids.filter((id) => votes.get(id) > 0),
+      negative: ids.filter((id) => votes.get(id) < 0)
+    }
+  }
+  const feedbackSummary = collectFeedback()
+  const feedbackCount = feedbackSummary.positive.length + feedbackSummary.negative.length
+
+  const toggleFeedback = (hitId, vote) => {
+    const next = { ...feedback }
+    if (next[hitId] === vote) delete next[hitId]
+    else next[hitId] = vote
+    setFeedback(next)
+  }
+
+  // Documents a search covers in the current mode (null, with a status message, if none)
+  const resolveDocumentFilter = () => {
+    if (documentMode === 'multi') {
+      // Use all documents in multi-doc mode, narrowed by the name filter
+      const docName = searchFilters.docName.trim().toLowerCase()
+      const documentFilter = docName
+        ? files.filter((f) => f.split(/[\\/]/).pop().toLowerCase().includes(docName))
+        : files
+      if (documentFilter.length === 0) {
+        setResults([])
+        setStatus('필터와 일치하는 문서가 없습니다.')
+        return null
+      }
+      return documentFilter
+    }
+    if (!singleDocState.selectedDocument) {
+      setStatus('Please select a document first.')
+      return null
+    }
+    return [singleDocState.selectedDocument]
+  }
+
+  // Adds a finished search to the history (kind: see searchHistory.js)
+  const recordSearch = (search) => {
+    window.api.recordSearch({
+      mode: documentMode,
+      filters: countActiveFilters(searchFilters) > 0 ? searchFilters : null,
+      ...search
+    }).then(setSearchHistory).catch((error) => console.warn('Failed to record search:', error))
+  }
+
+  // retrievalMode overrides the setting for this search only (history replay)
+  const runSearch = async ({ refine = false, retrievalMode = settings.retrievalMode } = {}) => {
     try {
       if (!processed || processing) {
         setStatus('먼저 전처리를 완료하세요.')
         return
       }
+      if (rerankRunning) return
       
-      // Determine document filter based on mode
-      let documentFilter = null
-      if (documentMode === 'multi') {
-        // Use all documents in multi-doc mode
-        documentFilter = files
-      } else if (documentMode === 'single' && singleDocState.selectedDocument) {
-        documentFilter = [singleDocState.selectedDocument]
-      } else if (documentMode === 'single' && !singleDocState.selectedDocument) {
-        setStatus('Please select a document first.')
-        return
-      }
+      const documentFilter = resolveDocumentFilter()
+      if (!documentFilter) return
       
+      // Expand a new question once; edited expansions are reused as they are.
+      // Keyword search takes the query expression as it is.
+      const keywordMode = retrievalMode === 'keyword'
+      let extraQueries = keywordMode ? [] : subQueries
+      if (!keywordMode && settings.autoExpandQuery && settings.llmHost && settings.llmModel && expandedFor !== query.trim()) {
+        // Sub-queries left from an earlier question don't belong to this one,
+        // even when the expansion below fails
+        extraQueries = []
+        setSubQueries([])
+        setStatus('질의 확장 중...')
+        try {
+          extraQueries = await expandQuery(query.trim())
+        } catch (error) {
+          if (error?.message?.includes('취소')) {
+            setStatus('검색을 취소했습니다.')
+            return
+          }
+          console.warn('Query expansion failed:', error)
+        }
+      }
+
       setStatus('검색 중...')
+      const queries = [query, ...extraQueries].map((q) => q.trim()).filter(Boolean)
       const searchResults = await window.api.search({ 
         query, 
+        queries: queries.length > 1 ? queries : null,
+        queryFusion: settings.queryFusion,
+        perDocN: settings.perDocN,
+        documentFilter,
+        retrievalMode,
+        resultMode: settings.resultMode,
+        topK: settings.globalTopK,
+        minScore: settings.minScore,
+        mmrLambda: settings.mmrLambda,
+        filters: toSearchFilters(searchFilters, documentMode),
+        fusion: settings.fusionMethod,
+        denseWeight: settings.denseWeight,
+        feedback: refine ? feedbackSummary : null
+      })
+      setResults(searchResults)
+      setStatus(refine
+        ? `피드백 반영 검색 완료: ${searchResults.length}개 문서 (관련 ${feedbackSummary.positive.length}, 비관련 ${feedbackSummary.negative.length})`
+        : `검색 완료: ${searchResults.length}개 문서${searchResults.some((r) => r.truncated) ? ' (일치하는 청크가 너무 많아 일부만 표시합니다. 검색식을 좁혀주세요)' : ''}`)
+      recordSearch({
+        kind: 'search',
+        query,
+        queries: queries.length > 1 ? queries : null,
+        documentFilter: documentMode === 'single' ? documentFilter : null,
+        retrievalMode,
+        resultCount: searchResults.length
+      })
+
+      // Retrieval results stay on screen while the rerank runs
+      if (settings.rerankEnabled && !keywordMode && searchResults.length > 0) {
+        await rerankResults(searchResults)
+      }
+    } catch (error) {
+      setStatus(`오류: ${error.message}`)
+    }
+  }
+
+  // "More like this" from a search hit ({ hitId, text }) or a viewer
+  // selection ({ text, docId, page }) over the whole workspace, narrowed only
+  // by the structured filters; the source passage itself is excluded
+  const findSimilar = async (source) => {
+    if (!processed || processing) {
+      setStatus('먼저 전처리를 완료하세요.')
+      return
+    }
+    const preview = source.text.length > 40 ? `${source.text.slice(0, 40)}...` : source.text
+    const similarTo = source.hitId ? { hitId: source.hitId } : { text: source.text, docId: source.docId, page: source.page }
+    try {
+      setStatus('비슷한 문단 검색 중...')
+      const searchResults = await window.api.search({
+        query: source.text,
         perDocN: settings.perDocN,
-        documentFilter 
+        resultMode: settings.resultMode,
+        topK: settings.globalTopK,
+        minScore: settings.minScore,
+        mmrLambda: settings.mmrLambda,
+        filters: toSearchFilters(searchFilters, documentMode),
+        similarTo
       })
       setResults(searchResults)
-      setStatus(`검색 완료: ${searchResults.length}개 문서`)
+      setShowExhaustiveResults(false)
+      setStatus(`비슷한 문단: ${searchResults.length}개 문서 ("${preview}")`)
+      recordSearch({
+        kind: 'similar',
+        query: source.text,
+        retrievalMode: 'dense',
+        similarTo,
+        resultCount: searchResults.length
+      })
     } catch (error) {
       setStatus(`오류: ${error.message}`)
     }
   }
 
+  const rerankResults = async (searchResults) => {
+    setRerankRunning(true)
+    setStatus('재순위화 중...')
+    try {
+      const reranked = await window.api.rerankResults({
+        query,
+        results: searchResults,
+        topK: settings.rerankTopK,
+        mode: documentMode
+      })
+      setResults(reranked)
+      setStatus(`검색 완료: ${reranked.length}개 문서 (상위 ${settings.rerankTopK}개 재순위화)`)
+    } catch (error) {
+      setStatus(`${error.message} 검색 점수 순서를 유지합니다.`)
+    } finally {
+      setRerankRunning(false)
+    }
+  }
+
+  const cancelRerank = async () => {
+    try {
+      await window.api.cancelRerank({ mode: documentMode })
+    } catch (error) {
+      console.error('Error cancelling rerank:', error)
+    }
+  }
+
   const handleExhaustiveSearch = async (searchQuery = query) => {
     if (!processed || processing) {
       setStatus('먼저 전처리를 완료하세요.')
@@ -2090,11 +3078,20 @@ export default function App() {
       setStatus('Exhaustive search started...')
       
       console.log('🔥 Starting exhaustive search with mode:', documentMode)
-      await window.api.exhaustiveSearch({ 
+      const classified = await window.api.exhaustiveSearch({ 
         query: searchQuery,
         documentFilter,
         mode: documentMode 
       })
+      recordSearch({
+        kind: 'exhaustive',
+        query: searchQuery,
+        documentFilter: documentMode === 'single' ? documentFilter : null,
+        filters: null,
+        retrievalMode: null,
+        // Documents with at least one relevant chunk
+        resultCount: new Set(classified.filter((r) => r.classification === 1).map((r) => r.docId)).size
+      })
     } catch (error) {
       setExhaustiveSearchRunning(false)
       setStatus(`오류: ${error.message}`)
@@ -2112,6 +3109,66 @@ export default function App() {
   }
   
   // Helper functions to check if search is enabled
+  // Folders that contain workspace files, for the folder filter
+  const fileFolders = useMemo(() => {
+    const dirs = [...new Set(files.map((f) => f.replace(/[\\/][^\\/]*$/, '')))].sort()
+    return dirs.map((dir) => ({
+      path: dir,
+      label: workspace && dir.startsWith(workspace) ? dir.slice(workspace.length).replace(/^[\\/]/, '') || '(루트)' : dir,
+    }))
+  }, [files, workspace])
+
+  const sortedResults = useMemo(() => sortSearchResults(results, resultSort), [results, resultSort])
+
+  // Restore a history entry's mode, document, query and filters, then run it
+  // again once that state has been rendered (see the effect below). The entry's
+  // retrieval mode applies to that run only; the saved setting is left alone.
+  // A "more like this" entry keeps the query box as it is; its source passage
+  // is the query.
+  const runHistorySearch = (entry) => {
+    const kind = entry.kind || 'search'
+    setDocumentMode(entry.mode)
+    if (entry.mode === 'single' && entry.documentFilter?.[0]) {
+      setSelectedDocument(entry.documentFilter[0])
+      setActiveDoc(entry.documentFilter[0])
+    }
+    if (kind !== 'similar') {
+      const setModeState = entry.mode === 'multi' ? setMultiDocState : setSingleDocState
+      const extraQueries = (entry.queries || []).slice(1)
+      setModeState(prev => ({
+        ...prev,
+        query: entry.query,
+        subQueries: extraQueries,
+        // Recorded expansions are reused instead of asking the LLM again
+        expandedFor: extraQueries.length > 0 ? entry.query.trim() : prev.expandedFor
+      }))
+    }
+    setSearchFilters({ ...EMPTY_SEARCH_FILTERS, ...(entry.filters || {}) })
+    setPendingHistoryRun({ ...entry, kind })
+  }
+
+  useEffect(() => {
+    const entry = pendingHistoryRun
+    if (!entry || documentMode !== entry.mode) return
+    if (entry.kind !== 'similar' && query !== entry.query) return
+    setPendingHistoryRun(null)
+    if (entry.kind === 'exhaustive') handleExhaustiveSearch(entry.query)
+    else if (entry.kind === 'similar') findSimilar({ ...entry.similarTo, text: entry.query })
+    else runSearch({ retrievalMode: entry.retrievalMode || settings.retrievalMode })
+  }, [pendingHistoryRun, documentMode, query])
+
+  const updateHistory = (request) => {
+    request.then(setSearchHistory).catch((error) => setStatus(`오류: ${error.message}`))
+  }
+
+  const historyHandlers = {
+    onRun: runHistorySearch,
+    onTogglePin: (entry) => updateHistory(window.api.updateSearchHistory({ id: entry.id, pinned: !entry.pinned })),
+    onRename: (id, name) => updateHistory(window.api.updateSearchHistory({ id, name })),
+    onDelete: (entry) => updateHistory(window.api.deleteSearchHistory({ id: entry.id })),
+    onClear: () => updateHistory(window.api.clearSearchHistory())
+  }
+
   const canSearch = () => {
     if (!processed || processing || !query.trim()) return false
     
@@ -2142,7 +3199,10 @@ export default function App() {
           document: result.path,
           hits: result.hits.map(hit => ({
             page: hit.page,
+            pageEnd: hit.pageEnd,
+            section: hit.section,
             score: hit.score,
+            rerankScore: hit.rerankScore,
             text: hit.text
           }))
         }))
@@ -2156,7 +3216,7 @@ Total Documents: ${results.length}
 
 ${results.map(result => `## ${result.path.split(/[\\\\/]/).pop()}
 
-${result.hits.map(hit => `### Page ${hit.page} (Score: ${hit.score.toFixed(3)})
+${result.hits.map(hit => `### Page ${formatPageSpan(hit)}${hit.section ? ` §${hit.section}` : ''} (Score: ${hit.score.toFixed(3)}${hit.rerankScore != null ? `, Rerank: ${hit.rerankScore.toFixed(3)}` : ''})
 ${hit.text}
 `).join('\n')}
 `).join('\n')}
@@ -2195,6 +3255,8 @@ ${JSON.stringify(exportData, null, 2)}
         relevantResults: exhaustiveResults.relevant.map(result => ({
           document: result.path,
           page: result.page,
+          pageEnd: result.pageEnd,
+          section: result.section,
           text: result.text,
           classification: result.classification
         }))
@@ -2209,7 +3271,7 @@ Total Processed: ${exportData.totalProcessed}
 
 ${exhaustiveResults.relevant.map((result, index) => `## Result ${index + 1}
 **Document:** ${result.path.split(/[\\\\/]/).pop()}
-**Page:** ${result.page}
+**Page:** ${formatPageSpan(result)}${result.section ? ` §${result.section}` : ''}
 **Classification:** ${result.classification}
 
 ${result.text}
@@ -2250,6 +3312,7 @@ ${JSON.stringify(exportData, null, 2)}
       }
       
       result.classification = newClassification
+      result.confirmed = true
       
       if (newClassification === 1) {
         newResults.relevant.push(result)
@@ -2261,24 +3324,56 @@ ${JSON.stringify(exportData, null, 2)}
     })
   }
   
-  const openContext = (docPath, page, snippet) => {
+  // Accept the LLM's classification as is, so it counts as refine feedback
+  const confirmExhaustiveResult = (resultId) => {
+    setExhaustiveSearchResults(prev => {
+      const confirm = (list) => (list || []).map(r => (`${r.docId}::${r.chunkId}` === resultId ? { ...r, confirmed: true } : r))
+      return { ...prev, relevant: confirm(prev.relevant), nonRelevant: confirm(prev.nonRelevant) }
+    })
+  }
+  
+  // boxes: the chunk's text item boxes recorded at index time, on every page it covers
+  const openContext = (docPath, page, snippet, boxes = []) => {
     setActiveDoc(docPath)
     setActivePage(page)
     setActiveSnippet(snippet)
+    setActiveBoxes(boxes || [])
   }
 
+  // Related papers of the open document, refreshed while that view is shown
+  // and after each indexing run
+  useEffect(() => {
+    if (activeView !== 'related' || !activeDoc || !processed || processing) return
+    let stale = false
+    setRelatedDocs({ docId: activeDoc, items: [], loading: true, error: null })
+    window.api.getRelatedDocuments({ docId: activeDoc })
+      .then((items) => {
+        if (!stale) setRelatedDocs({ docId: activeDoc, items, loading: false, error: null })
+      })
+      .catch((error) => {
+        if (!stale) setRelatedDocs({ docId: activeDoc, items: [], loading: false, error: error.message })
+      })
+    return () => {
+      stale = true
+    }
+  }, [activeView, activeDoc, processed, processing])
+
   const exitWorkspace = async () => {
     await window.api.resetWorkspace()
     setWorkspace(null)
     setFiles([])
+    setSearchHistory([])
+    setRelatedDocs({ docId: null, items: [], loading: false, error: null })
     setResults([])
     setProcessed(false)
     setProcessing(false)
     setActiveDoc(null)
     setActivePage(null)
     setActiveSnippet('')
+    setActiveBoxes([])
     setLastEmbedConfig(null)
     setStatus(null)
+    setIndexReport(null)
   }
 
   const handleViewChange = (view) => {
@@ -2302,16 +3397,7 @@ ${JSON.stringify(exportData, null, 2)}
           
           // Initialize backend with saved settings
           if (parsed.embeddingHost && parsed.embeddingModel) {
-            await window.api.setSettings({
-              embeddingHost: newSettings.embeddingHost,
-              embeddingModel: newSettings.embeddingModel,
-              apiKey: newSettings.apiKey,
-              chunkSize: newSettings.chunkSize,
-              chunkOverlap: newSettings.chunkOverlap,
-              llmHost: newSettings.llmHost,
-              llmModel: newSettings.llmModel,
-              llmApiKey: newSettings.llmApiKey,
-            })
+            await window.api.setSettings(toBackendSettings(newSettings))
             setLastEmbedConfig({ 
               embeddingHost: newSettings.embeddingHost, 
               embeddingModel: newSettings.embeddingModel 
@@ -2319,9 +3405,9 @@ ${JSON.stringify(exportData, null, 2)}
             // Check if workspace exists to determine if we should show as processed
             if (workspace && files.length > 0) {
               try {
-                // Try to check if embeddings exist for current settings
-                const testResult = await window.api.search({ query: 'test', perDocN: 1 })
-                setProcessed(true)
+                // Embeddings exist if an index was built or restored from disk
+                const indexStatus = await window.api.getIndexStatus()
+                setProcessed(indexStatus.docCount > 0)
               } catch {
                 setProcessed(false)
               }
@@ -2341,8 +3427,12 @@ ${JSON.stringify(exportData, null, 2)}
   // Set up event listeners
   useEffect(() => {
     const cleanup = [
-      window.api.onPreprocessProgress(setProgressData),
-      window.api.onPreprocessComplete(() => {
+      window.api.onPreprocessProgress((data) => {
+        // Background runs are started by the folder watcher, not by preprocess()
+        if (data?.background) setProcessing(true)
+        setProgressData(data)
+      }),
+      window.api.onPreprocessComplete((data) => {
         setProcessing(false)
         setProcessed(true)
         setProgressData(null)
@@ -2350,10 +3440,28 @@ ${JSON.stringify(exportData, null, 2)}
           embeddingHost: settings.embeddingHost, 
           embeddingModel: settings.embeddingModel 
         })
+        if (data?.background) {
+          setIndexReport({ failedFiles: data.failedFiles || [], failedChunks: data.failedChunks || 0, truncatedChunks: data.truncatedChunks || 0, maxInputTokens: data.maxInputTokens, tokenCountEstimated: !!data.tokenCountEstimated })
+          setStatus(`폴더 변경 반영 완료: 문서 ${data.docCount}개, 청크 ${data.chunkCount}개${formatIndexChanges(data.changes)}`)
+        }
+      }),
+      window.api.onWorkspaceFilesChanged((data) => {
+        setFiles(data.files)
+        const renamedMap = new Map((data.renamed || []).map((r) => [r.from, r.to]))
+        const removed = new Set(data.removed || [])
+        setSingleDocState(prev => {
+          if (!prev.selectedDocument) return prev
+          if (renamedMap.has(prev.selectedDocument)) return { ...prev, selectedDocument: renamedMap.get(prev.selectedDocument) }
+          if (removed.has(prev.selectedDocument)) return { ...prev, selectedDocument: null }
+          return prev
+        })
+        setActiveDoc(prev => (prev && renamedMap.has(prev) ? renamedMap.get(prev) : prev))
+        setStatus(`폴더 변경 감지: 추가 ${data.added?.length || 0}, 삭제 ${data.removed?.length || 0}, 이름 변경 ${data.renamed?.length || 0}`)
       }),
-      window.api.onPreprocessCancelled(() => {
+      window.api.onPreprocessCancelled((data) => {
         setProcessing(false)
-        setProcessed(false)
+        // The previous index is kept when a run is cancelled
+        setProcessed((data?.docCount || 0) > 0)
         setProgressData(null)
       }),
       window.api.onPreprocessError((error) => {
@@ -2471,6 +3579,10 @@ ${JSON.stringify(exportData, null, 2)}
               setActiveDoc(docPath)
             }
           }}
+          searchHistory={searchHistory}
+          historyHandlers={historyHandlers}
+          relatedDocs={relatedDocs}
+          onOpenRelated={openContext}
         />
       </div>
 
@@ -2480,19 +3592,123 @@ ${JSON.stringify(exportData, null, 2)}
             <div className="search-container">
               <input
                 className="search-input"
-                placeholder="질문을 입력하세요 (예: BERT의 사전학습 목표는?)"
+                placeholder={settings.retrievalMode === 'keyword'
+                  ? '검색식을 입력하세요 (예: ablation NEAR/10 "batch size" NOT /resnet-?\\d+/i)'
+                  : '질문을 입력하세요 (예: BERT의 사전학습 목표는?)'}
                 value={query}
                 onChange={(e) => setQuery(e.target.value)}
                 onKeyDown={(e) => e.key === 'Enter' && canSearch() && runSearch()}
                 disabled={!processed || processing}
               />
+              {subQueries.map((subQuery, i) => (
+                <div key={i} style={{ display: 'flex', gap: '6px', marginTop: '6px' }}>
+                  <input
+                    className="search-input"
+                    placeholder={`다른 표현 ${i + 1}`}
+                    value={subQuery}
+                    onChange={(e) => setSubQueries(subQueries.map((q, j) => (j === i ? e.target.value : q)))}
+                    onKeyDown={(e) => e.key === 'Enter' && canSearch() && runSearch()}
+                    disabled={!processed || processing}
+                  />
+                  <button
+                    className="btn btn-secondary"
+                    onClick={() => setSubQueries(subQueries.filter((_, j) => j !== i))}
+                    title="질의 삭제"
+                  >
+                    ×
+                  </button>
+                </div>
+              ))}
               <button 
                 className="search-button" 
-                onClick={runSearch}
-                disabled={!canSearch()}
+                onClick={() => runSearch()}
+                disabled={!canSearch() || rerankRunning}
               >
                 Search
               </button>
+              {feedbackCount > 0 && (settings.retrievalMode === 'dense' || settings.retrievalMode === 'hybrid') && (
+                <>
+                  <button
+                    className="search-button"
+                    onClick={() => runSearch({ refine: true })}
+                    disabled={!canSearch() || rerankRunning}
+                    style={{ marginLeft: '8px' }}
+                    title="관련/비관련으로 표시한 결과로 질의 벡터를 조정해 다시 검색합니다"
+                  >
+                    Refine ({feedbackCount})
+                  </button>
+                  <button
+                    className="search-button"
+                    onClick={() => setFeedback({})}
+                    style={{ marginLeft: '4px' }}
+                    title="검색 결과에 표시한 피드백 지우기"
+                  >
+                    ×
+                  </button>
+                </>
+              )}
+              <select
+                className="form-input"
+                style={{ width: '110px', fontSize: '12px', marginLeft: '8px', display: 'inline-block' }}
+                value={settings.retrievalMode}
+                onChange={(e) => saveSettings({ ...settings, retrievalMode: e.target.value })}
+                title="검색 방식"
+              >
+                <option value="dense">Dense</option>
+                <option value="lexical">Lexical (BM25)</option>
+                <option value="hybrid">Hybrid</option>
+                <option value="keyword">Keyword</option>
+              </select>
+              <select
+                className="form-input"
+                style={{ width: '110px', fontSize: '12px', marginLeft: '8px', display: 'inline-block' }}
+                value={settings.resultMode}
+                onChange={(e) => saveSettings({ ...settings, resultMode: e.target.value })}
+                disabled={settings.retrievalMode === 'keyword'}
+                title="결과 방식"
+              >
+                <option value="perDoc">문서별 n개</option>
+                <option value="topK">전체 Top-K</option>
+                <option value="threshold">최소 점수</option>
+                <option value="mmr">다양화 (MMR)</option>
+              </select>
+              {settings.retrievalMode !== 'keyword' && settings.resultMode !== 'perDoc' && (
+                <input
+                  type="number"
+                  className="form-input"
+                  style={{ width: '64px', fontSize: '12px', marginLeft: '4px', display: 'inline-block' }}
+                  step={settings.resultMode === 'threshold' ? '0.05' : '1'}
+                  value={settings.resultMode === 'threshold' ? settings.minScore : settings.globalTopK}
+                  onChange={(e) => saveSettings(settings.resultMode === 'threshold'
+                    ? { ...settings, minScore: parseFloat(e.target.value || '0') }
+                    : { ...settings, globalTopK: parseInt(e.target.value || '0', 10) })}
+                  title={settings.resultMode !== 'threshold'
+                    ? '전체 결과 수 (K)'
+                    : settings.retrievalMode === 'lexical'
+                      ? '최소 BM25 점수 (이 값 이상인 청크만 표시)'
+                      : '최소 코사인 유사도 (이 값 이상인 청크만 표시, 하이브리드·다중 질의도 융합 점수가 아닌 임베딩 유사도로 비교)'}
+                />
+              )}
+              <button
+                className="search-button"
+                onClick={() => setSubQueries([...subQueries, ''])}
+                disabled={!processed || processing}
+                style={{ marginLeft: '8px' }}
+                title="같은 질문의 다른 표현을 함께 검색합니다"
+              >
+                + 질의
+              </button>
+              {settings.llmHost && settings.llmModel && (
+                <button
+                  className="search-button"
+                  onClick={handleExpandQuery}
+                  disabled={!processed || processing || !query.trim()}
+                  style={{ marginLeft: '8px' }}
+                  title="LLM으로 다른 표현, 동의어, 가상 답변 문단을 만들어 하위 질의로 추가합니다"
+                >
+                  질의 확장
+                </button>
+              )}
               
               {processed && !exhaustiveSearchRunning && settings.llmHost && settings.llmModel && (
                 <button 
@@ -2505,6 +3721,26 @@ ${JSON.stringify(exportData, null, 2)}
                 </button>
               )}
               
+              {expandingQuery && (
+                <button
+                  className="search-button"
+                  onClick={cancelExpandQuery}
+                  style={{ marginLeft: '8px' }}
+                >
+                  Cancel Expansion
+                </button>
+              )}
+
+              {rerankRunning && (
+                <button
+                  className="search-button"
+                  onClick={cancelRerank}
+                  style={{ marginLeft: '8px' }}
+                >
+                  Cancel Rerank
+                </button>
+              )}
+
               {exhaustiveSearchRunning && (
                 <button 
                   className="search-button" 
@@ -2516,10 +3752,15 @@ ${JSON.stringify(exportData, null, 2)}
               )}
               
               {!processed && !processing && (
-                <button className="search-button" onClick={preprocess} style={{ marginLeft: '8px' }}>
+                <button className="search-button" onClick={() => preprocess()} style={{ marginLeft: '8px' }}>
                   Generate Embeddings
                 </button>
               )}
+              {processed && !processing && (
+                <button className="search-button" onClick={() => preprocess()} style={{ marginLeft: '8px' }} title="변경된 파일만 다시 처리합니다">
+                  Update Index
+                </button>
+              )}
               {processing && (
                 <button className="search-button" onClick={() => window.api.cancelPreprocess()} style={{ marginLeft: '8px' }}>
                   Cancel
@@ -2529,6 +3770,17 @@ ${JSON.stringify(exportData, null, 2)}
               {status && (
                 <div style={{ marginTop: '8px', fontSize: '11px', color: 'var(--text-muted)' }}>{status}</div>
               )}
+
+              {!processing && (indexReport?.failedFiles?.length > 0 || indexReport?.failedChunks > 0 || indexReport?.truncatedChunks > 0) && (
+                <div style={{ marginTop: '4px', fontSize: '11px' }}>
+                  <span
+                    onClick={() => setShowIndexReport(true)}
+                    style={{ cursor: 'pointer', color: 'var(--vscode-errorForeground)', textDecoration: 'underline' }}
+                  >
+                    건너뛴 파일 {indexReport.failedFiles.length}개{indexReport.failedChunks > 0 ? ` · 임베딩 누락 ${indexReport.failedChunks}개` : ''}{indexReport.truncatedChunks > 0 ? ` · 잘릴 수 있는 청크 ${indexReport.truncatedChunks}개` : ''} - 보고서 보기
+                  </span>
+                </div>
+              )}
               
               {exhaustiveSearchProgress && (
                 <div style={{ marginTop: '8px', fontSize: '11px', color: 'var(--text-muted)' }}>
@@ -2542,9 +3794,18 @@ ${JSON.stringify(exportData, null, 2)}
               {processing && progressData && (
                 <div className="progress-container">
                   <div className="progress-text">
+                    {progressData.phase === 'diff' && '변경 사항 확인 중'}
                     {progressData.phase === 'extract' && '텍스트 추출 중'}
+                    {progressData.phase === 'extract' && progressData.failed > 0 && ` (실패 ${progressData.failed}개)`}
                     {progressData.phase === 'embed' && '임베딩 생성 중'}
+                    {progressData.phase === 'embed' && progressData.failedBatches > 0 && ` (실패한 배치 ${progressData.failedBatches}개)`}
+                    {progressData.phase === 'embed' && progressData.truncatedChunks > 0 && ` (모델 최대 입력을 넘는 청크 ${progressData.truncatedChunks}개는 잘릴 수 있음)`}
                     {progressData.phase === 'index' && '인덱싱 중'}
+                    {progressData.changes && (
+                      <span style={{ marginLeft: '8px', opacity: 0.7 }}>
+                        추가 {progressData.changes.added} · 변경 {progressData.changes.updated} · 삭제 {progressData.changes.removed} · 유지 {progressData.changes.unchanged}
+                      </span>
+                    )}
                   </div>
                   {progressData.total && (
                     <div className="progress-bar">
@@ -2594,6 +3855,27 @@ ${JSON.stringify(exportData, null, 2)}
             
             {/* Embedding Search Results */}
             <div className="results-container" style={{ display: !showExhaustiveResults ? 'block' : 'none' }}>
+              {processed && (
+                <div style={{ display: 'flex', justifyContent: 'flex-end', marginBottom: '8px' }}>
+                  <button
+                    className="btn btn-secondary"
+                    style={{ fontSize: '11px', padding: '2px 8px' }}
+                    onClick={() => setShowFilters(!showFilters)}
+                  >
+                    필터 / 정렬{countActiveFilters(searchFilters) > 0 ? ` (${countActiveFilters(searchFilters)})` : ''}
+                  </button>
+                </div>
+              )}
+              {processed && showFilters && (
+                <SearchFilterPanel
+                  filters={searchFilters}
+                  onChange={setSearchFilters}
+                  sortBy={resultSort}
+                  onSortChange={setResultSort}
+                  folders={fileFolders}
+                  documentMode={documentMode}
+                />
+              )}
               {results.length > 0 && (
                 <div style={{ 
                   display: 'flex', 
@@ -2634,30 +3916,72 @@ ${JSON.stringify(exportData, null, 2)}
                   검색 결과가 여기에 표시됩니다
                 </div>
               ) : (
-                results.map((result) => (
+                sortedResults.map((result) => (
                   <div key={result.docId} className="result-item">
                     <div className="result-header text-truncate" title={result.path}>
                       {result.path.split(/[\\\\/]/).pop()}
+                      {result.metadata?.year && <span style={{ opacity: 0.7 }}> ({result.metadata.year})</span>}
                     </div>
                     {result.hits && Array.isArray(result.hits) && result.hits.map((hit) => (
                       <div key={hit.id} className="result-hit">
                         <div className="result-meta">
-                          페이지 {hit.page} • 점수: {hit.score.toFixed(3)}
+                          {hit.rank != null && <>#{hit.rank} • </>}페이지 {formatPageSpan(hit)}{hit.section && <> • §{hit.section}</>} • {hit.matches ? `일치 ${hit.score}회` : `점수: ${hit.score.toFixed(3)}`}
+                          {hit.rerankScore != null && <> • 재순위: {hit.rerankScore.toFixed(3)}</>}
+                          {(hit.denseScore !== undefined || hit.lexicalScore !== undefined) && (
+                            <span style={{ opacity: 0.7 }}>
+                              {' '}(dense {hit.denseScore != null ? hit.denseScore.toFixed(3) : '-'} · BM25 {hit.lexicalScore != null ? hit.lexicalScore.toFixed(2) : '-'})
+                            </span>
+                          )}
+                          {hit.matches?.length > 0 && (
+                            <div style={{ marginTop: '2px', opacity: 0.8 }}>
+                              일치: {hit.matches.join(' | ')}
+                            </div>
+                          )}
+                          {hit.matchedQueries?.length > 0 && (
+                            <div style={{ marginTop: '2px', opacity: 0.8 }}>
+                              매칭 질의: {hit.matchedQueries.join(' | ')}
+                            </div>
+                          )}
                         </div>
                         <div 
                           className="result-text"
                           style={{ cursor: 'pointer' }}
-                          onClick={() => openContext(result.path, hit.page, hit.text)}
+                          onClick={() => openContext(result.path, hit.page, hit.text, hit.boxes)}
                           title={hit.text}
                         >
                           {hit.text.length > 150 ? hit.text.substring(0, 150) + '...' : hit.text}
                         </div>
-                        <button 
-                          className="result-button"
-                          onClick={() => openContext(result.path, hit.page, hit.text)}
-                        >
-                          문서 보기
-                        </button>
+                        <div style={{ display: 'flex', gap: '8px' }}>
+                          <button 
+                            className="result-button"
+                            onClick={() => openContext(result.path, hit.page, hit.text, hit.boxes)}
+                          >
+                            문서 보기
+                          </button>
+                          <button
+                            className="result-button"
+                            onClick={() => findSimilar({ hitId: hit.id, text: hit.text })}
+                            title="이 문단과 비슷한 내용을 워크스페이스에서 찾습니다"
+                          >
+                            비슷한 문단
+                          </button>
+                          <button
+                            className="result-button"
+                            onClick={() => toggleFeedback(hit.id, 1)}
+                            style={feedback[hit.id] === 1 ? { background: 'var(--success-bg)', color: 'var(--success-color)' } : undefined}
+                            title="관련 있음"
+                          >
+                            👍
+                          </button>
+                          <button
+                            className="result-button"
+                            onClick={() => toggleFeedback(hit.id, -1)}
+                            style={feedback[hit.id] === -1 ? { background: 'var(--error-bg)', color: 'var(--error-color)' } : undefined}
+                            title="관련 없음"
+                          >
+                            👎
+                          </button>
+                        </div>
                       </div>
                     ))}
                   </div>
@@ -2859,12 +4183,12 @@ ${JSON.stringify(exportData, null, 2)}
                           {doc.hits.map((hit) => (
                             <div key={`${hit.docId}::${hit.chunkId}`} className="result-hit">
                               <div className="result-meta">
-                                페이지 {hit.page} {hit.reason && exhaustiveActiveTab === 'uncertain' && `• ${hit.reason}`}
+                                페이지 {formatPageSpan(hit)}{hit.section && ` • §${hit.section}`} {hit.reason && exhaustiveActiveTab === 'uncertain' && `• ${hit.reason}`}
                               </div>
                               <div 
                                 className="result-text"
                                 style={{ cursor: 'pointer' }}
-                                onClick={() => openContext(hit.path, hit.page, hit.text)}
+                                onClick={() => openContext(hit.path, hit.page, hit.text, hit.boxes)}
                                 title={hit.text}
                               >
                                 {hit.text.length > 150 ? hit.text.substring(0, 150) + '...' : hit.text}
@@ -2872,7 +4196,7 @@ ${JSON.stringify(exportData, null, 2)}
                               <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
                                 <button 
                                   className="result-button"
-                                  onClick={() => openContext(hit.path, hit.page, hit.text)}
+                                  onClick={() => openContext(hit.path, hit.page, hit.text, hit.boxes)}
                                 >
                                   문서 보기
                                 </button>
@@ -2894,6 +4218,19 @@ ${JSON.stringify(exportData, null, 2)}
                                     </button>
                                   </>
                                 )}
+                                {exhaustiveActiveTab !== 'uncertain' && (hit.confirmed ? (
+                                  <span style={{ fontSize: '11px', color: 'var(--text-muted)', alignSelf: 'center' }}>
+                                    ✓ 확인됨 (Refine에 반영)
+                                  </span>
+                                ) : (
+                                  <button
+                                    className="result-button"
+                                    onClick={() => confirmExhaustiveResult(`${hit.docId}::${hit.chunkId}`)}
+                                    title="이 분류를 확인하고 Refine 피드백으로 사용합니다"
+                                  >
+                                    분류 확인
+                                  </button>
+                                ))}
                               </div>
                             </div>
                           ))}
@@ -2914,7 +4251,9 @@ ${JSON.stringify(exportData, null, 2)}
                 filePath={activeDoc}
                 page={activePage}
                 snippet={activeSnippet}
+                boxes={activeBoxes}
                 query={query}
+                onFindSimilar={findSimilar}
               />
             </PDFErrorBoundary>
           </div>
@@ -2942,6 +4281,17 @@ ${JSON.stringify(exportData, null, 2)}
         onClose={() => setShowSettings(false)}
       />
 
+      <IndexReportModal
+        isOpen={showIndexReport}
+        report={indexReport}
+        processing={processing}
+        onRetry={() => {
+          setShowIndexReport(false)
+          preprocess({ retryFailed: true })
+        }}
+        onClose={() => setShowIndexReport(false)}
+      />
+
       <NotesCollectionModal
         isOpen={showNotesCollection}
         notes={notes}
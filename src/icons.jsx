@@ -49,3 +49,21 @@ export const SearchIcon = (props) => (
   </Icon>
 )
 
+
+export const HistoryIcon = (props) => (
+  <Icon {...props}>
+    <path d="M3 12a9 9 0 1 0 3-6.7L3 8"/>
+    <path d="M3 3v5h5"/>
+    <path d="M12 7v5l3 3"/>
+  </Icon>
+)
+
+export const RelatedIcon = (props) => (
+  <Icon {...props}>
+    <circle cx="6" cy="12" r="3"/>
+    <circle cx="18" cy="6" r="3"/>
+    <circle cx="18" cy="18" r="3"/>
+    <path d="M8.6 10.5l6.8-3.5"/>
+    <path d="M8.6 13.5l6.8 3.5"/>
+  </Icon>
+)
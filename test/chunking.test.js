@@ -0,0 +1,93 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { chunkDocument, detectHeading } = require('../app/chunking')
+
+const sentence = (i) => `Sentence number ${i} describes one step of the experiment in plain words.`
+const paragraph = (from, count) => Array.from({ length: count }, (_, i) => sentence(from + i)).join(' ')
+
+test('sentence chunks end on sentence boundaries within the budget', () => {
+  const chunks = chunkDocument([paragraph(0, 20)], { strategy: 'sentence', chunkSize: 300, chunkOverlap: 0 })
+  assert.ok(chunks.length > 1)
+  for (const c of chunks) {
+    assert.ok(c.text.length <= 300, c.text)
+    assert.match(c.text, /^Sentence number \d+ .*\.$/)
+  }
+  // Without overlap every sentence lands in exactly one chunk
+  assert.equal(chunks.map((c) => c.text).join(' '), paragraph(0, 20))
+})
+
+test('overlap carries whole trailing sentences into the next chunk', () => {
+  const chunks = chunkDocument([paragraph(0, 20)], { strategy: 'sentence', chunkSize: 300, chunkOverlap: 80 })
+  for (let i = 1; i < chunks.length; i++) {
+    const last = chunks[i - 1].text.match(/Sentence number \d+ [^.]*\.$/)[0]
+    assert.ok(chunks[i].text.startsWith(last), chunks[i].text)
+  }
+})
+
+test('a sentence longer than the budget is cut at spaces', () => {
+  const long = Array.from({ length: 120 }, (_, i) => `word${i}`).join(' ') + '.'
+  const chunks = chunkDocument([long], { strategy: 'sentence', chunkSize: 200, chunkOverlap: 0 })
+  assert.ok(chunks.length > 1)
+  for (const c of chunks) {
+    assert.ok(c.text.length <= 200)
+    assert.match(c.text, /^word\d+/)
+  }
+  assert.equal(chunks.map((c) => c.text).join(' '), long)
+})
+
+test('headings end a chunk and label the chunks that follow', () => {
+  const page = ['Abstract', paragraph(0, 2), '1 Introduction', paragraph(2, 2), '3.2 Experimental Setup', paragraph(4, 2)].join('\n')
+  const chunks = chunkDocument([page], { strategy: 'sentence', chunkSize: 1000, chunkOverlap: 0 })
+  assert.deepEqual(chunks.map((c) => c.section), ['Abstract', '1 Introduction', '3.2 Experimental Setup'])
+  assert.ok(chunks[1].text.startsWith('1 Introduction Sentence number 2'))
+})
+
+test('heading detection', () => {
+  assert.deepEqual(detectHeading('Abstract—We study chunking.'), { label: 'Abstract', rest: 'We study chunking.' })
+  assert.equal(detectHeading('## Results').label, 'Results')
+  assert.equal(detectHeading('IV. RESULTS').label, 'IV. RESULTS')
+  assert.equal(detectHeading('5 Conclusion').label, '5 Conclusion')
+  // Wrapped body lines
+  assert.equal(detectHeading('2 We train the model with the'), null)
+  assert.equal(detectHeading('Results are shown in Table 2.'), null)
+  assert.equal(detectHeading('3 Models trained on 50000 samples'), null)
+})
+
+test('fixed chunks have no section', () => {
+  const chunks = chunkDocument(['Abstract\n' + paragraph(0, 5)], { strategy: 'fixed', chunkSize: 200, chunkOverlap: 50 })
+  assert.ok(chunks.every((c) => c.section === null && c.text.length <= 200))
+  assert.equal(chunks[1].text.slice(0, 50), chunks[0].text.slice(-50))
+})
+
+test('without acrossPages no chunk spans two pages', () => {
+  for (const strategy of ['fixed', 'sentence']) {
+    const chunks = chunkDocument([paragraph(0, 3), paragraph(3, 3)], { strategy, chunkSize: 1000, chunkOverlap: 0 })
+    assert.deepEqual(chunks.map((c) => [c.page, c.pageEnd, c.pageBreaks.length]), [[1, 1, 0], [2, 2, 0]], strategy)
+  }
+})
+
+test('a sentence running onto the next page stays in one chunk with its page span', () => {
+  const pages = [
+    `${paragraph(0, 2)} The last sentence of page one continues`,
+    `onto page two here. ${paragraph(2, 2)}`,
+  ]
+  const chunks = chunkDocument(pages, { strategy: 'sentence', chunkSize: 200, chunkOverlap: 0, acrossPages: true })
+  const split = chunks.find((c) => c.text.includes('continues onto page two'))
+  assert.ok(split)
+  assert.equal(split.page, 1)
+  assert.equal(split.pageEnd, 2)
+  assert.deepEqual(split.pageBreaks, [{ offset: split.text.indexOf('onto page two'), page: 2 }])
+  // Chunks on one page keep an empty break list
+  for (const c of chunks.filter((c) => c !== split)) assert.equal(c.page, c.pageEnd)
+  assert.deepEqual(chunks.map((c) => c.page), [1, 1, 2])
+})
+
+test('fixed chunks across pages map breaks to where each page begins', () => {
+  const pages = ['a'.repeat(150), '', 'b'.repeat(200), 'c'.repeat(100)]
+  const chunks = chunkDocument(pages, { strategy: 'fixed', chunkSize: 300, chunkOverlap: 0, acrossPages: true })
+  assert.deepEqual(chunks.map((c) => [c.page, c.pageEnd]), [[1, 3], [3, 4]])
+  // The empty page 2 is skipped; page 3 starts after page 1 and its line break
+  assert.deepEqual(chunks[0].pageBreaks, [{ offset: 151, page: 3 }])
+  assert.deepEqual(chunks[1].pageBreaks, [{ offset: 52, page: 4 }])
+  assert.equal(chunks[1].text, 'b'.repeat(51) + '\n' + 'c'.repeat(100))
+})
@@ -0,0 +1,75 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const os = require('node:os')
+const path = require('node:path')
+const {
+  configureEmbeddingCache,
+  getCachedEmbeddings,
+  putCachedEmbeddings,
+  flushEmbeddingCache,
+  getEmbeddingCacheStats,
+} = require('../app/embeddingCache')
+
+// Pointing the cache elsewhere and back reloads it from disk, like an app
+// restart. beforeLoad runs while the cache is away (e.g. to simulate a crash).
+function restart(dir, beforeLoad = () => {}) {
+  const other = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-other-'))
+  configureEmbeddingCache({ dir: other })
+  beforeLoad()
+  configureEmbeddingCache({ dir })
+  fs.rmSync(other, { recursive: true, force: true })
+}
+
+const vec = (v) => Array.from(v || [])
+
+function tempCacheDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-'))
+  t.after(() => {
+    flushEmbeddingCache()
+    fs.rmSync(dir, { recursive: true, force: true })
+  })
+  return dir
+}
+
+test('vectors round-trip through a flush and a restart', (t) => {
+  const dir = tempCacheDir(t)
+  configureEmbeddingCache({ dir, limitBytes: 1024 * 1024 })
+  putCachedEmbeddings(['a', 'b'], [[1, 2, 3], [4, 5, 6]])
+  flushEmbeddingCache()
+  restart(dir)
+  assert.deepEqual(getCachedEmbeddings(['b', 'x', 'a']).map(vec), [[4, 5, 6], [], [1, 2, 3]])
+})
+
+test('rows written before a crash without index.json are not handed out for new keys', (t) => {
+  const dir = tempCacheDir(t)
+  configureEmbeddingCache({ dir, limitBytes: 1024 * 1024 })
+  putCachedEmbeddings(['a'], [[1, 2, 3]])
+  // vectors.bin has the row, but index.json was never written
+  restart(dir, () => fs.rmSync(path.join(dir, 'index.json')))
+  assert.deepEqual(getCachedEmbeddings(['a']).map(vec), [[]])
+  putCachedEmbeddings(['b'], [[7, 8, 9]])
+  assert.deepEqual(getCachedEmbeddings(['b']).map(vec), [[7, 8, 9]])
+  flushEmbeddingCache()
+  restart(dir)
+  assert.deepEqual(getCachedEmbeddings(['b']).map(vec), [[7, 8, 9]])
+})
+
+test('eviction keeps the most recently used rows and compacts the data file', (t) => {
+  const dir = tempCacheDir(t)
+  configureEmbeddingCache({ dir, limitBytes: 1024 * 1024 })
+  const dim = 4096 // 16 KB per row
+  const keys = Array.from({ length: 100 }, (_, i) => `k${i}`)
+  const rows = keys.map((_, i) => new Array(dim).fill(i))
+  putCachedEmbeddings(keys, rows)
+  configureEmbeddingCache({ dir, limitBytes: 64 * 1024 * 4 })
+  flushEmbeddingCache()
+  const stats = getEmbeddingCacheStats()
+  assert.ok(stats.bytes <= 64 * 1024 * 4)
+  assert.equal(stats.fileBytes, stats.bytes)
+  restart(dir)
+  const cached = getCachedEmbeddings(keys)
+  const kept = cached.map((v, i) => (v ? i : -1)).filter((i) => i >= 0)
+  assert.ok(kept.length > 0)
+  for (const i of kept) assert.equal(cached[i][dim - 1], i)
+})
@@ -0,0 +1,55 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { HnswIndex } = require('../app/hnsw')
+
+const DIM = 16
+let seed = 7
+const random = () => {
+  seed = (seed * 16807) % 2147483647
+  return seed / 2147483647 - 0.5
+}
+const vector = () => Float32Array.from({ length: DIM }, random)
+const norm = (v) => Math.sqrt(v.reduce((s, x) => s + x * x, 0))
+const cosine = (a, b) => a.reduce((s, x, i) => s + x * b[i], 0) / (norm(a) * norm(b))
+
+const vectors = Array.from({ length: 2000 }, vector)
+const accessors = { getVector: (id) => vectors[id], getNorm: (id) => norm(vectors[id]) }
+const index = new HnswIndex({ ...accessors, M: 16, efConstruction: 100 })
+for (let i = 0; i < vectors.length; i++) index.add()
+
+const queries = Array.from({ length: 30 }, vector)
+const recall = (idx, k, ef) => {
+  let found = 0
+  for (const q of queries) {
+    const exact = vectors.map((v, id) => ({ id, score: cosine(q, v) })).sort((a, b) => b.score - a.score).slice(0, k)
+    const approx = new Set(idx.search(q, norm(q), k, ef).map((r) => r.id))
+    found += exact.filter((r) => approx.has(r.id)).length
+  }
+  return found / (queries.length * k)
+}
+
+test('search recall against brute force', () => {
+  assert.ok(recall(index, 10, 64) >= 0.95)
+  assert.equal(recall(index, 10, vectors.length), 1)
+})
+
+test('results are best first with cosine scores', () => {
+  const q = queries[0]
+  const hits = index.search(q, norm(q), 10)
+  assert.equal(hits.length, 10)
+  for (let i = 1; i < hits.length; i++) assert.ok(hits[i - 1].score >= hits[i].score)
+  for (const h of hits) assert.ok(Math.abs(h.score - cosine(q, vectors[h.id])) < 1e-5)
+})
+
+test('a graph read back from its buffer returns the same results', () => {
+  const restored = HnswIndex.fromBuffer(index.toBuffer(), accessors)
+  for (const q of queries) assert.deepEqual(restored.search(q, norm(q), 10), index.search(q, norm(q), 10))
+})
+
+test('nodes without a vector stay out of the top results', () => {
+  const sparse = new HnswIndex({ getVector: (id) => (id % 3 === 0 ? null : vectors[id]), getNorm: (id) => (id % 3 === 0 ? 0 : norm(vectors[id])) })
+  for (let i = 0; i < 300; i++) sparse.add()
+  const q = queries[1]
+  const hits = sparse.search(q, norm(q), 10)
+  assert.ok(hits.every((h) => h.id % 3 !== 0))
+})
@@ -0,0 +1,55 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { parseKeywordQuery, matchKeywordQuery } = require('../app/keywordSearch')
+
+const matches = (query, text) => matchKeywordQuery(parseKeywordQuery(query), text) !== null
+const spans = (query, text) => matchKeywordQuery(parseKeywordQuery(query), text)?.map((s) => s.text)
+
+test('OR binds looser than implicit and explicit AND', () => {
+  assert.deepEqual(parseKeywordQuery('a b OR c'), parseKeywordQuery('(a AND b) OR c'))
+  assert.equal(matches('dropout batch OR momentum', 'momentum only'), true)
+  assert.equal(matches('dropout batch OR momentum', 'dropout only'), false)
+  assert.equal(matches('dropout (batch OR momentum)', 'dropout with momentum'), true)
+})
+
+test('NOT applies to the next operand only', () => {
+  assert.equal(parseKeywordQuery('NOT a b').type, 'and')
+  assert.equal(matches('transformer NOT vision', 'a transformer for text'), true)
+  assert.equal(matches('transformer -vision', 'a vision transformer'), false)
+  assert.equal(matches('NOT vision transformer', 'a transformer for text'), true)
+})
+
+test('NEAR counts the words between both matches', () => {
+  const text = 'the ablation of the learning rate and the batch size'
+  // 6 words between "ablation" and "batch"
+  assert.equal(matches('ablation NEAR/6 "batch size"', text), true)
+  assert.equal(matches('ablation NEAR/5 "batch size"', text), false)
+  assert.equal(matches('"batch size" NEAR/6 ablation', text), true)
+  assert.equal(matches('ablation NEAR "batch size"', text), true)
+  assert.deepEqual(spans('ablation NEAR/6 "batch size"', text), ['ablation', 'batch size'])
+})
+
+test('NEAR binds tighter than AND', () => {
+  assert.deepEqual(parseKeywordQuery('a NEAR/2 b c'), { type: 'and', children: [parseKeywordQuery('a NEAR/2 b'), parseKeywordQuery('c')] })
+})
+
+test('terms match whole words, a trailing * matches a prefix', () => {
+  assert.equal(matches('optim', 'we optimize the loss'), false)
+  assert.deepEqual(spans('optim*', 'Optimizer and optimization, not suboptimal'), ['Optimizer', 'optimization'])
+  assert.equal(matches('"batch size"', 'Batch  Size of 32'), true)
+})
+
+test('regexes keep their flags and report syntax errors', () => {
+  assert.deepEqual(spans('/resnet-?\\d+/i', 'ResNet50 and resnet-101'), ['ResNet50', 'resnet-101'])
+  assert.equal(matches('/resnet\\d+/', 'ResNet50'), false)
+  assert.throws(() => parseKeywordQuery('/(unclosed/'), /검색식 오류/)
+})
+
+test('regexes with a repeat inside a repeated group are refused', () => {
+  for (const q of ['/(a+)+$/', '/(?:ab*)*c/', '/((x)+y)+/']) assert.throws(() => parseKeywordQuery(q), /검색식 오류/, q)
+  for (const q of ['/(a|b)+/', '/\\(a+\\)+/', '/[(+]+x/', '/(?<year>\\d{4})-\\d+/']) assert.doesNotThrow(() => parseKeywordQuery(q), q)
+})
+
+test('malformed queries throw query errors', () => {
+  for (const q of ['', '"open', '(a OR b', 'a OR', 'a )']) assert.throws(() => parseKeywordQuery(q), /검색식 오류/, q)
+})
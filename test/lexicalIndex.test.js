@@ -0,0 +1,53 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { tokenize, buildLexicalIndex, searchLexicalIndex } = require('../app/lexicalIndex')
+
+const doc = (id, texts) => ({ id, chunks: texts.map((text, i) => ({ id: `${id}-${i}`, text })) })
+const docs = new Map([
+  ['a.pdf', doc('a.pdf', [
+    'We fine-tune GPT-4 on the benchmark.',
+    'The benchmark has many tasks and the tasks are hard and the tasks are long.',
+  ])],
+  ['b.pdf', doc('b.pdf', [
+    'ResNet_50 results on ImageNet.',
+    'The model is trained on the benchmark with the model and the model.',
+    'Nothing relevant here at all.',
+  ])],
+])
+const index = buildLexicalIndex(docs)
+const ranked = (query, filter) => searchLexicalIndex(index, query, filter).map((h) => `${h.doc.id}:${h.row}`)
+
+test('compound tokens are kept whole and split into parts', () => {
+  assert.deepEqual(tokenize('GPT-4 and ResNet_50, v1.2'), ['gpt-4', 'gpt', '4', 'and', 'resnet_50', 'resnet', '50', 'v1.2', 'v1', '2'])
+})
+
+test('rare terms outweigh common ones', () => {
+  // "benchmark" is in three chunks, "imagenet" in one
+  assert.equal(ranked('benchmark imagenet')[0], 'b.pdf:0')
+})
+
+test('repeated terms score higher, with diminishing returns', () => {
+  // Equal-length chunks so only the term frequency differs
+  const tf = buildLexicalIndex(new Map([['c.pdf', doc('c.pdf', [
+    'alpha beta gamma delta',
+    'alpha alpha gamma delta',
+    'alpha alpha alpha delta',
+    'omega beta gamma delta',
+    'omega beta gamma delta',
+  ])]]))
+  const [s1, s2, s3] = [0, 1, 2].map((row) => searchLexicalIndex(tf, 'alpha').find((h) => h.row === row).score)
+  assert.ok(s1 < s2 && s2 < s3)
+  assert.ok(s3 - s2 < s2 - s1)
+})
+
+test('longer chunks are penalized for the same term frequency', () => {
+  const [short, long] = ['a.pdf:0', 'a.pdf:1'].map((id) => searchLexicalIndex(index, 'benchmark').find((h) => `${h.doc.id}:${h.row}` === id).score)
+  assert.ok(short > long)
+})
+
+test('chunks without any query term are left out and the document filter applies', () => {
+  assert.equal(ranked('benchmark').includes('b.pdf:2'), false)
+  assert.deepEqual(ranked('unseen words'), [])
+  assert.deepEqual(ranked('benchmark', ['b.pdf']), ['b.pdf:1'])
+  assert.deepEqual(ranked('gpt-4'), ['a.pdf:0'])
+})
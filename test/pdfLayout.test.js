@@ -0,0 +1,48 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { layoutPages } = require('../app/pdfLayout')
+
+const FONT = 10
+const item = (str, x, y) => ({ str, transform: [FONT, 0, 0, FONT, x, y], width: str.length * FONT * 0.5, height: FONT })
+// lines: [text, y] from top to bottom, single column
+const page = (lines) => ({ width: 600, items: lines.map(([str, y]) => item(str, 50, y)) })
+
+test('running headers and page numbers are dropped, body lines differing by numbers are kept', () => {
+  const pages = [1, 2, 3, 4].map((n) => page([
+    ['Journal of Layout Tests, Vol. 12', 760],
+    [`Accuracy reaches ${90 + n}.5 on split ${n}.`, 700 - n * 20],
+    ['The method is described below in detail.', 560],
+    [`Table ${n} lists the ablations.`, 100 + n * 20],
+    [String(n), 30],
+  ]))
+  const texts = layoutPages(pages).map((p) => p.text)
+  texts.forEach((text, i) => {
+    const n = i + 1
+    assert.equal(text.includes('Journal of Layout Tests'), false)
+    assert.match(text, new RegExp(`Accuracy reaches ${90 + n}\\.5 on split ${n}\\.`))
+    assert.match(text, new RegExp(`Table ${n} lists the ablations\\.`))
+    assert.equal(text.split('\n').includes(String(n)), false)
+  })
+})
+
+test('a repeated line is only dropped at the height where it repeats', () => {
+  // A bottom-band line at y=120 on pages 0, 1 and 3, higher up on page 2
+  const pages = [0, 1, 2, 3].map((n) => page([
+    ['Body text of the page.', 600],
+    ['Draft - do not distribute', n === 2 ? 400 : 120],
+    ['More body text.', 60],
+  ]))
+  const texts = layoutPages(pages).map((p) => p.text)
+  for (const n of [0, 1, 3]) assert.equal(texts[n].includes('Draft'), false)
+  assert.match(texts[2], /Draft - do not distribute/)
+})
+
+test('line-break hyphens are removed except after compound prefixes', () => {
+  const [{ text }] = layoutPages([page([
+    ['We run the experi-', 700],
+    ['ments with self-', 686],
+    ['attention and a state-of-the-', 672],
+    ['art baseline.', 658],
+  ])])
+  assert.equal(text, 'We run the experiments with self-attention and a state-of-the-art baseline.')
+})
@@ -0,0 +1,72 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { fuseByDoc, mergeQueryResults, selectResults } = require('../app/resultSelection')
+
+const doc = (id) => ({ id, chunks: [], vectors: null })
+const byDoc = (list) => {
+  const map = new Map()
+  for (const c of list) map.set(c.doc.id, [...(map.get(c.doc.id) || []), c])
+  return map
+}
+const ids = (resultsByDoc) => [...resultsByDoc.values()].flat().map((c) => `${c.doc.id}:${c.row}`).sort()
+
+const a = doc('a.pdf')
+const b = doc('b.pdf')
+const dense = byDoc([{ doc: a, row: 0, score: 0.82 }, { doc: a, row: 1, score: 0.41 }, { doc: b, row: 0, score: 0.63 }])
+const lexical = byDoc([{ doc: a, row: 1, score: 12.5 }, { doc: b, row: 2, score: 9.1 }])
+
+test('hybrid threshold compares minScore with the dense cosine, not the fused score', () => {
+  for (const fusion of ['rrf', 'weighted']) {
+    const fused = fuseByDoc(dense, lexical, 10, { fusion })
+    const selected = selectResults(fused, { resultMode: 'threshold', minScore: 0.5 })
+    assert.deepEqual(ids(selected), ['a.pdf:0', 'b.pdf:0'], fusion)
+    // Lexical-only hits have no cosine and never pass
+    assert.equal(ids(selectResults(fused, { resultMode: 'threshold', minScore: 0 })).includes('b.pdf:2'), false)
+  }
+})
+
+test('multi-query rrf threshold uses the best sub-query cosine', () => {
+  const second = byDoc([{ doc: a, row: 1, score: 0.7 }, { doc: b, row: 0, score: 0.3 }])
+  const merged = mergeQueryResults(['q1', 'q2'], [dense, second], 10, 'rrf')
+  const selected = selectResults(merged, { resultMode: 'threshold', minScore: 0.6 })
+  assert.deepEqual(ids(selected), ['a.pdf:0', 'a.pdf:1', 'b.pdf:0'])
+  assert.equal([...merged.values()].flat().find((c) => c.doc === b && c.row === 0).denseScore, 0.63)
+})
+
+test('dense threshold still uses the cosine score', () => {
+  assert.deepEqual(ids(selectResults(dense, { resultMode: 'threshold', minScore: 0.6 })), ['a.pdf:0', 'b.pdf:0'])
+})
+
+test('fusion handles candidate lists too long to spread into Math.max', () => {
+  const docs = Array.from({ length: 1000 }, (_, i) => doc(`d${i}.pdf`))
+  const list = (scale) => byDoc(Array.from({ length: 200000 }, (_, i) => ({ doc: docs[i % 1000], row: Math.floor(i / 1000), score: scale * (1 - i / 200000) })))
+  const fused = fuseByDoc(list(1), list(20), 1, { fusion: 'weighted' })
+  assert.equal(fused.size, 1000)
+  assert.equal(fused.get('d0.pdf')[0].score, 1)
+})
+
+test('multi-query max keeps the best sub-query score, mean rewards agreement', () => {
+  const q1 = byDoc([{ doc: a, row: 0, score: 0.9 }, { doc: a, row: 1, score: 0.6 }])
+  const q2 = byDoc([{ doc: a, row: 1, score: 0.7 }])
+  const score = (merged, row) => merged.get('a.pdf').find((c) => c.row === row).score
+  const max = mergeQueryResults(['q1', 'q2'], [q1, q2], 2, 'max')
+  assert.equal(score(max, 0), 0.9)
+  assert.equal(score(max, 1), 0.7)
+  assert.equal(max.get('a.pdf')[0].row, 0)
+  // A miss counts as 0: row 1 found by both beats row 0 found by one
+  const mean = mergeQueryResults(['q1', 'q2'], [q1, q2], 2, 'mean')
+  assert.equal(score(mean, 0), 0.45)
+  assert.ok(Math.abs(score(mean, 1) - 0.65) < 1e-9)
+  assert.equal(mean.get('a.pdf')[0].row, 1)
+})
+
+test('merged hits list the sub-queries that would have shown them', () => {
+  const q1 = byDoc([{ doc: a, row: 0, score: 0.9 }, { doc: a, row: 2, score: 0.8 }, { doc: a, row: 1, score: 0.6 }])
+  const q2 = byDoc([{ doc: a, row: 1, score: 0.7 }, { doc: a, row: 0, score: 0.2 }])
+  // Only each sub-query's top perDocN hits of a document count as its own
+  const [top] = mergeQueryResults(['q1', 'q2'], [q1, q2], 1, 'rrf').get('a.pdf')
+  assert.equal(top.row, 0)
+  assert.deepEqual(top.matchedQueries, ['q1'])
+  const all = mergeQueryResults(['q1', 'q2'], [q1, q2], 3, 'rrf').get('a.pdf')
+  assert.deepEqual(all.map((c) => [c.row, c.matchedQueries]), [[0, ['q1', 'q2']], [1, ['q1', 'q2']], [2, ['q1']]])
+})
@@ -0,0 +1,78 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const os = require('node:os')
+const path = require('node:path')
+const {
+  loadSearchHistory,
+  addSearchHistory,
+  updateSearchHistory,
+  removeSearchHistory,
+  clearSearchHistory,
+} = require('../app/searchHistory')
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  return dir
+}
+
+test('repeating the latest search refreshes it instead of adding an entry', (t) => {
+  const dir = tempDir(t)
+  addSearchHistory(dir, { query: 'attention', resultCount: 3 })
+  const entries = addSearchHistory(dir, { query: 'attention', resultCount: 5 })
+  assert.equal(entries.length, 1)
+  assert.equal(entries[0].resultCount, 5)
+  assert.equal(entries[0].kind, 'search')
+})
+
+test('searches differing in kind, mode or filters are separate entries', (t) => {
+  const dir = tempDir(t)
+  addSearchHistory(dir, { query: 'attention' })
+  addSearchHistory(dir, { query: 'attention', retrievalMode: 'hybrid' })
+  addSearchHistory(dir, { query: 'attention', retrievalMode: 'hybrid', filters: { pageFrom: 2 } })
+  addSearchHistory(dir, { query: 'attention', retrievalMode: 'hybrid', filters: { pageFrom: 2 }, kind: 'exhaustive' })
+  const entries = addSearchHistory(dir, { query: 'attention', kind: 'similar', similarTo: { hitId: 'a.pdf::1' } })
+  assert.equal(entries.length, 5)
+  assert.deepEqual(entries.map((e) => e.kind), ['similar', 'exhaustive', 'search', 'search', 'search'])
+})
+
+test('only the latest entry is deduplicated', (t) => {
+  const dir = tempDir(t)
+  addSearchHistory(dir, { query: 'a' })
+  addSearchHistory(dir, { query: 'b' })
+  const entries = addSearchHistory(dir, { query: 'a' })
+  assert.deepEqual(entries.map((e) => e.query), ['a', 'b', 'a'])
+})
+
+test('history is capped at 200 unpinned entries and keeps pinned ones', (t) => {
+  const dir = tempDir(t)
+  let entries = addSearchHistory(dir, { query: 'saved' })
+  updateSearchHistory(dir, entries[0].id, { pinned: true, name: '  My search  ' })
+  for (let i = 0; i < 205; i++) entries = addSearchHistory(dir, { query: `q${i}` })
+  assert.equal(entries.filter((e) => !e.pinned).length, 200)
+  assert.equal(entries[0].query, 'q204')
+  assert.equal(entries.some((e) => e.query === 'q4'), false)
+  const saved = entries.find((e) => e.pinned)
+  assert.equal(saved.query, 'saved')
+  assert.equal(saved.name, 'My search')
+  assert.deepEqual(loadSearchHistory(dir), entries)
+})
+
+test('remove and clear', (t) => {
+  const dir = tempDir(t)
+  addSearchHistory(dir, { query: 'a' })
+  let entries = addSearchHistory(dir, { query: 'b' })
+  updateSearchHistory(dir, entries[1].id, { pinned: true })
+  entries = removeSearchHistory(dir, entries[0].id)
+  assert.deepEqual(entries.map((e) => e.query), ['a'])
+  addSearchHistory(dir, { query: 'c' })
+  assert.deepEqual(clearSearchHistory(dir).map((e) => e.query), ['a'])
+})
+
+test('a missing or unreadable history file loads as empty', (t) => {
+  const dir = tempDir(t)
+  assert.deepEqual(loadSearchHistory(dir), [])
+  fs.writeFileSync(path.join(dir, 'history.json'), '{ not json')
+  assert.deepEqual(loadSearchHistory(dir), [])
+})
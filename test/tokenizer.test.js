@@ -0,0 +1,56 @@
+const test = require('node:test')
+const assert = require('node:assert/strict')
+const { Tiktoken } = require('js-tiktoken/lite')
+const { createTokenizer, detectTokenizerFamily } = require('../app/tokenizer')
+const { chunkDocument } = require('../app/chunking')
+
+const encoder = new Tiktoken(require('js-tiktoken/ranks/cl100k_base'))
+
+const SAMPLES = [
+  'hello world',
+  'The transformer uses self-attention to model long documents efficiently.',
+  "We don't train on 12345 GPUs.\n\n  Results:  BLEU 28.4 (±0.3), see Table 2.",
+  '트랜스포머는 셀프 어텐션을 사용한다. 中文测试',
+]
+
+test('cl100k counts match tiktoken', () => {
+  const tokenizer = createTokenizer('cl100k')
+  assert.equal(tokenizer.count('hello world'), 2)
+  for (const text of SAMPLES) assert.equal(tokenizer.count(text), encoder.encode(text).length, text)
+})
+
+test('cl100k pieces add up to the full count', () => {
+  const tokenizer = createTokenizer('cl100k')
+  for (const text of SAMPLES) {
+    const pieces = tokenizer.pieces(text)
+    assert.equal(pieces.reduce((sum, p) => sum + p.tokens, 0), encoder.encode(text).length)
+    assert.equal(pieces.map((p) => text.slice(p.start, p.end)).join(''), text)
+  }
+})
+
+test('wordpiece counts match bert-base-uncased, with [CLS]/[SEP]', () => {
+  const tokenizer = createTokenizer('wordpiece')
+  assert.equal(tokenizer.count('hello world'), 4)
+  assert.equal(tokenizer.count('unaffable'), 5) // un ##aff ##able
+  assert.equal(tokenizer.count('The quick brown fox jumps over the lazy dog.'), 12)
+  assert.equal(tokenizer.count('Naïve CAFÉ'), 4) // lowercased, accents stripped
+})
+
+test('only sentencepiece is an estimate', () => {
+  assert.equal(createTokenizer('cl100k').estimated, false)
+  assert.equal(createTokenizer('wordpiece').estimated, false)
+  assert.equal(createTokenizer('sentencepiece').estimated, true)
+  assert.equal(detectTokenizerFamily('bge-m3'), 'sentencepiece')
+  assert.equal(detectTokenizerFamily('text-embedding-3-small'), 'cl100k')
+})
+
+test('token chunks fill the budget measured by the real tokenizer', () => {
+  const tokenizer = createTokenizer('cl100k')
+  const page = Array.from({ length: 60 }, (_, i) => `Sentence ${i} describes the attention mechanism in some detail.`).join(' ')
+  for (const strategy of ['fixed', 'sentence']) {
+    const chunks = chunkDocument([page], { strategy, chunkSize: 128, chunkOverlap: 0, tokenizer })
+    assert.ok(chunks.length > 1)
+    for (const chunk of chunks) assert.ok(encoder.encode(chunk.text).length <= 128, strategy)
+    assert.ok(encoder.encode(chunks[0].text).length >= 100, `${strategy} chunk is about the configured size`)
+  }
+})